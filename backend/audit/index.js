@@ -0,0 +1,107 @@
+// backend/audit/index.js
+// Append-only audit log of security-sensitive and administrative actions: who
+// (the logged-in user, if any), what (an action name such as "blog.updated" and
+// the entity it touched), the fields that changed, and from where (IP and user
+// agent). Rows are only ever inserted; the table's triggers reject updates and
+// deletes. The IP, user agent and changes to personal free text are kept apart
+// in audit_log_personal, which can be cleared when an account is deleted; the
+// entry itself then still shows which fields changed. Pass a transaction's
+// connection to log inside that transaction.
+const pool = require('../database/db');
+
+// Never written to the log, even when they change
+const REDACTED_FIELDS = ['password', 'password_hash', 'token', 'token_hash', 'refresh_token'];
+
+// Personal free text: its diff is stored with the entry's personal data
+const PERSONAL_FIELDS = ['bio', 'comment', 'note', 'notes', 'reviewer_notes', 'review_notes', 'details'];
+
+// Comparable form of a column value (dates by instant, everything else as text)
+function normalize(value) {
+  if (value === null || value === undefined) return null;
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+// { field: { from, to } } for the fields whose value differs between `before` and
+// `after`, which should list the same fields. When one is missing (an entity was
+// created or deleted) every field is listed, with null on the missing side.
+function diffChanges(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (REDACTED_FIELDS.includes(field)) continue;
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (!before || !after || normalize(from) !== normalize(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+// Split a diff into what the entry records (personal fields as { changed: true })
+// and the personal part, or null when there is none
+function splitChanges(changes) {
+  const logged = {};
+  const personal = {};
+  for (const [field, change] of Object.entries(changes)) {
+    if (PERSONAL_FIELDS.includes(field)) {
+      logged[field] = { changed: true };
+      personal[field] = change;
+    } else {
+      logged[field] = change;
+    }
+  }
+  return { logged, personal: Object.keys(personal).length > 0 ? personal : null };
+}
+
+// Record an action. `actorId` defaults to the logged-in user; set it to null for
+// actions by anonymous clients or the system.
+async function recordAudit(req, { action, entityType, entityId = null, before = null, after = null, actorId }, conn = pool) {
+  const changes = before || after ? diffChanges(before, after) : {};
+  const { logged, personal } = splitChanges(changes);
+  const actor = actorId !== undefined ? actorId : (req && req.user ? req.user.userId : null);
+
+  const [result] = await conn.query(
+    `INSERT INTO audit_log (actor_id, actor_role, action, entity_type, entity_id, changes)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      actor,
+      req && req.user && actor === req.user.userId ? req.user.role : null,
+      action,
+      entityType,
+      entityId === null ? null : String(entityId),
+      Object.keys(logged).length > 0 ? JSON.stringify(logged) : null
+    ]
+  );
+
+  const ip = req && req.ip ? req.ip : null;
+  const userAgent = req && req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 255) : null;
+  if (ip || userAgent || personal) {
+    await conn.query(
+      'INSERT INTO audit_log_personal (audit_id, ip, user_agent, changes) VALUES (?, ?, ?, ?)',
+      [result.insertId, ip, userAgent, personal ? JSON.stringify(personal) : null]
+    );
+  }
+}
+
+// An entry read with `p.changes AS personal_changes` from a join on
+// audit_log_personal p, with the personal diffs put back into its changes
+function withPersonalChanges({ personal_changes: personal, ...entry }) {
+  if (!personal) return entry;
+  const parsed = typeof personal === 'string' ? JSON.parse(personal) : personal;
+  const changes = typeof entry.changes === 'string' ? JSON.parse(entry.changes) : entry.changes;
+  return { ...entry, changes: { ...changes, ...parsed } };
+}
+
+// Forget the personal data of a user's entries: where everything they did came
+// from, where what was done to their account came from, and the free text that
+// changed. The entries themselves stay, showing which fields changed.
+async function deleteAuditPersonalData(userId, conn = pool) {
+  await conn.query(
+    `DELETE p FROM audit_log_personal p JOIN audit_log a ON a.id = p.audit_id
+     WHERE a.actor_id = ? OR (a.entity_type = 'user' AND a.entity_id = ?)`,
+    [userId, String(userId)]
+  );
+}
+
+module.exports = { diffChanges, recordAudit, withPersonalChanges, deleteAuditPersonalData };
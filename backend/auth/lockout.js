@@ -0,0 +1,80 @@
+// backend/auth/lockout.js
+// Progressive account lockout. Once an account has LOGIN_LOCKOUT_THRESHOLD failed
+// logins in a row, every further failure locks it for twice as long as the last
+// time (5, 10, 20 ... minutes, at most a day). Failures are forgotten after a day
+// without any, and a successful login clears them. The first lock emails the
+// owner an unlock link; resetting the password or an admin unlock also ends it.
+const pool = require('../database/db');
+const { sendMail } = require('../mail');
+const { accountLockedEmail } = require('../mail/templates');
+const { createUserToken, consumeUserToken } = require('./userTokens');
+const { logger } = require('../logging');
+
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5);
+const LOCKOUT_BASE_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 5);
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+const FAILURE_MEMORY_HOURS = 24;
+const UNLOCK_TOKEN_TTL_MINUTES = 24 * 60;
+
+// Seconds left on an account's lock (0 when it is not locked)
+async function getLockSeconds(userId) {
+  const [[row]] = await pool.query(
+    'SELECT GREATEST(COALESCE(TIMESTAMPDIFF(SECOND, NOW(), locked_until), 0), 0) AS seconds FROM users WHERE id = ?',
+    [userId]
+  );
+  return row ? Number(row.seconds) : 0;
+}
+
+// Count a failed login. Returns the minutes the account is now locked for, or 0.
+async function recordFailedLogin(user) {
+  await pool.query(
+    `UPDATE users SET
+       failed_login_attempts = IF(
+         GREATEST(last_failed_login_at, COALESCE(locked_until, last_failed_login_at)) > DATE_SUB(NOW(), INTERVAL ? HOUR),
+         failed_login_attempts + 1, 1),
+       last_failed_login_at = NOW()
+     WHERE id = ?`,
+    [FAILURE_MEMORY_HOURS, user.id]
+  );
+  const [[{ failed_login_attempts: failures }]] = await pool.query(
+    'SELECT failed_login_attempts FROM users WHERE id = ?',
+    [user.id]
+  );
+  if (failures < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+
+  const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MINUTES);
+  await pool.query('UPDATE users SET locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE id = ?', [minutes, user.id]);
+
+  if (failures === LOCKOUT_THRESHOLD) {
+    try {
+      const token = await createUserToken(user.id, 'account_unlock', UNLOCK_TOKEN_TTL_MINUTES);
+      await sendMail({
+        to: user.email,
+        ...accountLockedEmail({ firstName: user.first_name, token, lockedMinutes: minutes })
+      });
+    } catch (error) {
+      logger.error('Error sending account locked email', { userId: user.id, err: error });
+    }
+  }
+  return minutes;
+}
+
+async function clearFailedLogins(userId, conn = pool) {
+  await conn.query(
+    'UPDATE users SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?',
+    [userId]
+  );
+}
+
+// Unlock the account an emailed unlock token belongs to. Returns the user id or null.
+async function unlockAccount(token) {
+  const userId = await consumeUserToken(token, 'account_unlock');
+  if (userId) {
+    await clearFailedLogins(userId);
+  }
+  return userId;
+}
+
+module.exports = { getLockSeconds, recordFailedLogin, clearFailedLogins, unlockAccount };
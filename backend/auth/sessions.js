@@ -0,0 +1,173 @@
+// backend/auth/sessions.js
+// Login sessions. Each login starts a session holding a chain of rotating
+// refresh tokens (stored hashed). Access tokens are short-lived JWTs that carry
+// the session id, so revoking a session also kills its access tokens.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../database/db');
+const { logger } = require('../logging');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  logger.error('JWT_SECRET must be set');
+  process.exit(1);
+}
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+async function insertRefreshToken(conn, sessionId) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  await conn.query(
+    'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))',
+    [sessionId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+  return refreshToken;
+}
+
+// Start a session for a user who just proved their identity
+async function createSession(user, { ip, userAgent } = {}) {
+  const sessionId = crypto.randomUUID();
+  await pool.query(
+    'INSERT INTO sessions (id, user_id, ip_address, user_agent, expires_at) VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))',
+    [sessionId, user.id, ip || null, userAgent ? userAgent.slice(0, 255) : null, REFRESH_TOKEN_TTL_DAYS]
+  );
+  const refreshToken = await insertRefreshToken(pool, sessionId);
+
+  return { token: signAccessToken(user, sessionId), refreshToken, sessionId };
+}
+
+// Swap a refresh token for a new access/refresh pair. Presenting a refresh
+// token that was already rotated means it leaked, so the whole session is revoked.
+// Returns null when the token cannot be used.
+async function rotateRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string' || refreshToken === '') {
+    return null;
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT rt.id, rt.used_at, rt.expires_at, s.id AS session_id, s.revoked_at, s.expires_at AS session_expires_at,
+        u.id AS user_id, u.email, u.role
+       FROM refresh_tokens rt
+       JOIN sessions s ON s.id = rt.session_id
+       JOIN users u ON u.id = s.user_id
+       WHERE rt.token_hash = ?
+       FOR UPDATE`,
+      [hashToken(refreshToken)]
+    );
+    const row = rows[0];
+
+    if (!row || row.revoked_at) {
+      await conn.rollback();
+      return null;
+    }
+
+    if (row.used_at) {
+      await conn.query(
+        "UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse' WHERE id = ?",
+        [row.session_id]
+      );
+      await conn.commit();
+      logger.warn('Refresh token reuse detected; revoked session', { sessionId: row.session_id });
+      return null;
+    }
+
+    const now = new Date();
+    if (new Date(row.expires_at) <= now || new Date(row.session_expires_at) <= now) {
+      await conn.rollback();
+      return null;
+    }
+
+    await conn.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = ?', [row.id]);
+    await conn.query('UPDATE sessions SET last_used_at = NOW() WHERE id = ?', [row.session_id]);
+    const newRefreshToken = await insertRefreshToken(conn, row.session_id);
+
+    await conn.commit();
+
+    const user = { id: row.user_id, email: row.email, role: row.role };
+    return { token: signAccessToken(user, row.session_id), refreshToken: newRefreshToken, sessionId: row.session_id };
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+// Find the session a refresh token belongs to (used by logout)
+async function findSessionIdByRefreshToken(refreshToken) {
+  const [rows] = await pool.query(
+    'SELECT session_id FROM refresh_tokens WHERE token_hash = ?',
+    [hashToken(refreshToken)]
+  );
+  return rows[0] ? rows[0].session_id : null;
+}
+
+async function revokeSession(sessionId, reason) {
+  await pool.query(
+    'UPDATE sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+    [reason, sessionId]
+  );
+}
+
+async function revokeAllSessions(userId, reason) {
+  const [result] = await pool.query(
+    'UPDATE sessions SET revoked_at = NOW(), revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL',
+    [reason, userId]
+  );
+  return result.affectedRows;
+}
+
+// Verify an access token and check its session is still live.
+// Resolves to the token payload plus the user's current role, locale and whether
+// their email is verified, or null when it must be rejected.
+async function verifyAccessToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+
+  if (!payload.sid) {
+    return null;
+  }
+
+  // The role and locale are read here rather than trusted from the token, so a
+  // demoted user loses their rights (and a new locale applies) at once
+  const [rows] = await pool.query(
+    `SELECT u.role, u.locale, u.email_verified_at FROM sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [payload.sid]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  const { role, locale, email_verified_at: emailVerifiedAt } = rows[0];
+  return { ...payload, role, locale, emailVerified: Boolean(emailVerifiedAt) };
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  findSessionIdByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken
+};
@@ -0,0 +1,54 @@
+// backend/auth/userTokens.js
+// Single-use, expiring tokens mailed to users (email verification, password reset,
+// account unlock).
+// Only a SHA-256 hash of each token is stored.
+const crypto = require('crypto');
+const pool = require('../database/db');
+
+const TOKEN_TYPES = ['email_verification', 'password_reset', 'account_unlock'];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Create a token for a user; earlier unused tokens of the same type stop working
+async function createUserToken(userId, type, ttlMinutes) {
+  if (!TOKEN_TYPES.includes(type)) {
+    throw new Error(`Unknown token type "${type}"`);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(
+    'UPDATE user_tokens SET used_at = NOW() WHERE user_id = ? AND type = ? AND used_at IS NULL',
+    [userId, type]
+  );
+  await pool.query(
+    'INSERT INTO user_tokens (user_id, type, token_hash, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+    [userId, type, hashToken(token), ttlMinutes]
+  );
+
+  return token;
+}
+
+// Use up a token. Returns the user id, or null if it is unknown, used or expired.
+async function consumeUserToken(token, type, conn = pool) {
+  if (typeof token !== 'string' || token === '') {
+    return null;
+  }
+
+  const tokenHash = hashToken(token);
+  const [result] = await conn.query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE token_hash = ? AND type = ? AND used_at IS NULL AND expires_at > NOW()`,
+    [tokenHash, type]
+  );
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  const [[row]] = await conn.query('SELECT user_id FROM user_tokens WHERE token_hash = ?', [tokenHash]);
+  return row.user_id;
+}
+
+module.exports = { createUserToken, consumeUserToken };
@@ -0,0 +1,76 @@
+// backend/currency/index.js
+// Donation currencies. Every donation keeps the amount and currency the donor
+// paid in, plus its value in BASE_CURRENCY at the exchange rate of the day, so
+// totals and campaign progress can be added up across currencies.
+//
+// Rates come from a JSON file (EXCHANGE_RATES_FILE, default ./exchange-rates.json):
+//   { "base": "USD", "updated_at": "2026-10-01", "rates": { "EUR": 0.92, ... } }
+// where each rate is the number of units of that currency per one unit of base.
+// The file is re-read when it changes, so rates can be updated without a restart.
+const fs = require('fs');
+const path = require('path');
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// ISO 4217 codes donations are accepted in (SUPPORTED_CURRENCIES=USD,EUR,...)
+const SUPPORTED_CURRENCIES = (process.env.SUPPORTED_CURRENCIES || 'USD,EUR,GBP,CAD,AUD,KES,UGX,TZS,NGN,ZAR')
+  .split(',')
+  .map(code => code.trim().toUpperCase())
+  .filter(Boolean);
+
+if (!SUPPORTED_CURRENCIES.includes(BASE_CURRENCY)) {
+  SUPPORTED_CURRENCIES.unshift(BASE_CURRENCY);
+}
+
+const EXCHANGE_RATES_FILE = process.env.EXCHANGE_RATES_FILE || path.join(__dirname, 'exchange-rates.json');
+
+let cache = null;
+
+function readRatesFile() {
+  const table = JSON.parse(fs.readFileSync(EXCHANGE_RATES_FILE, 'utf8'));
+  if (String(table.base).toUpperCase() !== BASE_CURRENCY) {
+    throw new Error(`${EXCHANGE_RATES_FILE} has base ${table.base}, expected ${BASE_CURRENCY}`);
+  }
+
+  const rates = { [BASE_CURRENCY]: 1 };
+  for (const [code, rate] of Object.entries(table.rates || {})) {
+    if (typeof rate !== 'number' || !(rate > 0)) {
+      throw new Error(`${EXCHANGE_RATES_FILE} has an invalid rate for ${code}`);
+    }
+    rates[code.toUpperCase()] = rate;
+  }
+  return { base: BASE_CURRENCY, updatedAt: table.updated_at || null, rates };
+}
+
+// The current rate table: { base, updatedAt, rates: { CODE: units per base unit } }
+function getExchangeRates() {
+  const { mtimeMs } = fs.statSync(EXCHANGE_RATES_FILE);
+  if (!cache || cache.mtimeMs !== mtimeMs) {
+    cache = { mtimeMs, table: readRatesFile() };
+  }
+  return cache.table;
+}
+
+// Supported currencies the rate table has no rate for (checked at startup)
+function findMissingRates() {
+  const { rates } = getExchangeRates();
+  return SUPPORTED_CURRENCIES.filter(code => !rates[code]);
+}
+
+// Value of `amount` in `currency` expressed in the base currency.
+// Returns { rate, baseAmount } with the rate used, so it can be stored with the donation.
+function toBaseCurrency(amount, currency) {
+  const rate = getExchangeRates().rates[currency];
+  if (!rate) {
+    throw new Error(`No exchange rate for ${currency}`);
+  }
+  return { rate, baseAmount: Math.round((Number(amount) / rate) * 100) / 100 };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  getExchangeRates,
+  findMissingRates,
+  toBaseCurrency
+};
@@ -0,0 +1,202 @@
+// backend/database/migrate.js
+// Versioned schema migrations. Each file in ./migrations is named
+// NNN_description.js and exports async up(connection) and down(connection).
+// up() may resolve to a short note about data it moved, which is printed with
+// the migration's name; migrations themselves do not write to the console.
+// Applied migrations are recorded in schema_migrations with a checksum of the
+// file, so editing a migration after it has run is detected.
+//
+// Usage: node database/migrate.js [up | down [steps] | status]
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'schema_migrations_lock';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+// Migration files on disk, in order
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const filePath = path.join(MIGRATIONS_DIR, file);
+      return {
+        name: path.basename(file, '.js'),
+        filePath,
+        checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')
+      };
+    });
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL UNIQUE,
+      checksum CHAR(64) NOT NULL,
+      batch INT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Compare files on disk with what the database has applied, without writing
+// anything (health checks use this; no schema_migrations table means nothing is applied).
+// Returns one entry per migration: { name, status: 'applied' | 'pending' | 'modified' | 'missing', ... }
+async function readMigrationStatus(conn = pool) {
+  let applied = [];
+  try {
+    [applied] = await conn.query('SELECT name, checksum, batch, applied_at FROM schema_migrations ORDER BY id');
+  } catch (error) {
+    if (error.code !== 'ER_NO_SUCH_TABLE') {
+      throw error;
+    }
+  }
+  const appliedByName = new Map(applied.map(row => [row.name, row]));
+
+  const status = loadMigrations().map(migration => {
+    const row = appliedByName.get(migration.name);
+    appliedByName.delete(migration.name);
+    if (!row) {
+      return { name: migration.name, status: 'pending' };
+    }
+    return {
+      name: migration.name,
+      status: row.checksum === migration.checksum ? 'applied' : 'modified',
+      batch: row.batch,
+      appliedAt: row.applied_at
+    };
+  });
+
+  // Recorded in the database but the file is gone
+  for (const row of appliedByName.values()) {
+    status.push({ name: row.name, status: 'missing', batch: row.batch, appliedAt: row.applied_at });
+  }
+
+  return status;
+}
+
+// Like readMigrationStatus, creating schema_migrations first when it is missing
+async function getMigrationStatus(conn = pool) {
+  await ensureMigrationsTable(conn);
+  return readMigrationStatus(conn);
+}
+
+// Run `fn` with a dedicated connection holding the migration lock
+async function withMigrationLock(fn) {
+  const conn = await pool.getConnection();
+  try {
+    const [[{ locked }]] = await conn.query('SELECT GET_LOCK(?, ?) AS locked', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (locked !== 1) {
+      throw new Error('Another migration run is in progress');
+    }
+    try {
+      return await fn(conn);
+    } finally {
+      await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+function assertUnchanged(status) {
+  const problems = status.filter(migration => migration.status === 'modified' || migration.status === 'missing');
+  if (problems.length > 0) {
+    throw new Error(
+      `Applied migrations do not match the files on disk: ${problems.map(m => `${m.name} (${m.status})`).join(', ')}`
+    );
+  }
+}
+
+// Apply every pending migration as one batch. Returns the names applied.
+async function migrate() {
+  return withMigrationLock(async conn => {
+    const status = await getMigrationStatus(conn);
+    assertUnchanged(status);
+
+    const pending = new Set(status.filter(m => m.status === 'pending').map(m => m.name));
+    const migrations = loadMigrations().filter(m => pending.has(m.name));
+    if (migrations.length === 0) {
+      return [];
+    }
+
+    const [[{ lastBatch }]] = await conn.query('SELECT COALESCE(MAX(batch), 0) AS lastBatch FROM schema_migrations');
+    const batch = lastBatch + 1;
+
+    for (const migration of migrations) {
+      console.log(`Applying ${migration.name}`);
+      const note = await require(migration.filePath).up(conn);
+      if (note) {
+        console.log(`  ${migration.name}: ${note}`);
+      }
+      await conn.query(
+        'INSERT INTO schema_migrations (name, checksum, batch) VALUES (?, ?, ?)',
+        [migration.name, migration.checksum, batch]
+      );
+    }
+
+    return migrations.map(m => m.name);
+  });
+}
+
+// Roll back the most recently applied migrations. Returns the names rolled back.
+async function rollback(steps = 1) {
+  return withMigrationLock(async conn => {
+    const status = await getMigrationStatus(conn);
+    assertUnchanged(status);
+
+    const [applied] = await conn.query('SELECT name FROM schema_migrations ORDER BY id DESC LIMIT ?', [steps]);
+    const files = new Map(loadMigrations().map(m => [m.name, m]));
+
+    const rolledBack = [];
+    for (const { name } of applied) {
+      console.log(`Rolling back ${name}`);
+      await require(files.get(name).filePath).down(conn);
+      await conn.query('DELETE FROM schema_migrations WHERE name = ?', [name]);
+      rolledBack.push(name);
+    }
+
+    return rolledBack;
+  });
+}
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  try {
+    if (command === 'up') {
+      const applied = await migrate();
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('steps must be a positive integer');
+      }
+      const rolledBack = await rollback(steps);
+      console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      for (const migration of await getMigrationStatus()) {
+        const appliedAt = migration.appliedAt ? `  (batch ${migration.batch}, ${new Date(migration.appliedAt).toISOString()})` : '';
+        console.log(`${migration.status.padEnd(9)} ${migration.name}${appliedAt}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+    }
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { getMigrationStatus, readMigrationStatus, migrate, rollback };
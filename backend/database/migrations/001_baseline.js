@@ -0,0 +1,510 @@
+// backend/database/migrations/001_baseline.js
+// Baseline: the schema as initializeDatabase() used to create it on every start.
+// Every statement is idempotent, so it brings both empty databases and databases
+// created by any earlier version of the server up to this point.
+
+async function up(connection) {
+  let note = null;
+
+  // Create users table
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      first_name VARCHAR(50) NOT NULL,
+      last_name VARCHAR(50) NOT NULL,
+      email VARCHAR(100) NOT NULL UNIQUE,
+      password VARCHAR(255) NOT NULL,
+      role ENUM('admin', 'editor', 'donor') NOT NULL DEFAULT 'donor',
+      email_verified_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create bios table
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS bios (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      bio TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY (user_id)
+    )
+  `);
+
+  //For Blog posts
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS blogs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NOT NULL,
+      content LONGTEXT,
+      date DATE NOT NULL,
+      category VARCHAR(50) NOT NULL,
+      image_url VARCHAR(255),
+      slug VARCHAR(255) UNIQUE,
+      status ENUM('draft', 'published', 'scheduled') NOT NULL DEFAULT 'published',
+      publish_at DATETIME NULL,
+      author_id INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_blogs_category_date (category, date),
+      FULLTEXT INDEX ft_blogs_search (title, description, content)
+    )
+  `);
+
+  // Blog revision history (a snapshot is stored before every edit)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS blog_revisions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      blog_id INT NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NOT NULL,
+      content LONGTEXT,
+      category VARCHAR(50) NOT NULL,
+      image_url VARCHAR(255),
+      edited_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (blog_id) REFERENCES blogs(id) ON DELETE CASCADE,
+      FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX (blog_id, created_at)
+    )
+  `);
+
+  //For Donations
+  await connection.query(`
+CREATE TABLE IF NOT EXISTS Donations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  amount DECIMAL(10, 2) NOT NULL,
+  frequency ENUM('one-time', 'monthly', 'quarterly', 'yearly') NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  card_last_four VARCHAR(4) NOT NULL,
+  cardholder_name VARCHAR(255) NOT NULL,
+  country VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  payment_status ENUM('pending', 'completed', 'failed', 'refunded') DEFAULT 'pending',
+  payment_provider VARCHAR(50),
+  payment_intent_id VARCHAR(255) UNIQUE
+)
+`);
+
+  //Create table for payment methods
+  await connection.query(`
+CREATE TABLE IF NOT EXISTS PaymentMethods (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  donation_id INT NOT NULL,
+  card_type VARCHAR(50) NOT NULL,
+  expiry_month INT,
+  expiry_year INT,
+  FOREIGN KEY (donation_id) REFERENCES Donations(id) ON DELETE CASCADE
+)
+`);
+
+//create table for volunteer opportunities
+await connection.query(`
+CREATE TABLE IF NOT EXISTS volunteers (
+id INT AUTO_INCREMENT PRIMARY KEY,
+first_name VARCHAR(50) NOT NULL,
+last_name VARCHAR(50) NOT NULL,
+email VARCHAR(100) NOT NULL,
+phone VARCHAR(20) NOT NULL,
+interest_area VARCHAR(50) NOT NULL,
+availability TEXT NOT NULL,
+experience TEXT,
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+UNIQUE KEY unique_email (email)
+)
+`);
+
+
+  // Volunteer applications; volunteers holds the person, so people can apply again
+  await connection.query(`
+    ALTER TABLE volunteers
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS volunteer_applications (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      volunteer_id INT NOT NULL,
+      interest_area VARCHAR(50) NOT NULL,
+      availability TEXT NOT NULL,
+      experience TEXT,
+      status ENUM('submitted', 'under_review', 'approved', 'rejected', 'withdrawn') NOT NULL DEFAULT 'submitted',
+      reviewer_notes TEXT,
+      reviewed_by INT NULL,
+      reviewed_at DATETIME NULL,
+      decided_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (volunteer_id) REFERENCES volunteers(id) ON DELETE CASCADE,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX (status, created_at)
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS volunteer_application_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      application_id INT NOT NULL,
+      from_status VARCHAR(20) NULL,
+      to_status VARCHAR(20) NOT NULL,
+      notes TEXT,
+      changed_by INT NULL,
+      changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (application_id) REFERENCES volunteer_applications(id) ON DELETE CASCADE,
+      FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Volunteers who signed up before applications existed get theirs recorded
+  await connection.query(`
+    INSERT INTO volunteer_applications (volunteer_id, interest_area, availability, experience, created_at)
+    SELECT v.id, v.interest_area, v.availability, v.experience, v.created_at
+    FROM volunteers v
+    WHERE NOT EXISTS (SELECT 1 FROM volunteer_applications a WHERE a.volunteer_id = v.id)
+  `);
+
+  // Volunteer opportunities, their dated shifts and volunteer sign-ups
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS opportunities (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NOT NULL,
+      time_commitment VARCHAR(255) NOT NULL,
+      location VARCHAR(255) NOT NULL,
+      status ENUM('active', 'archived') NOT NULL DEFAULT 'active',
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS opportunity_shifts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      opportunity_id INT NOT NULL,
+      location VARCHAR(255),
+      starts_at DATETIME NOT NULL,
+      ends_at DATETIME NOT NULL,
+      capacity INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (opportunity_id) REFERENCES opportunities(id) ON DELETE CASCADE,
+      INDEX (starts_at)
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS shift_signups (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      shift_id INT NOT NULL,
+      user_id INT NOT NULL,
+      status ENUM('confirmed', 'waitlisted', 'withdrawn') NOT NULL,
+      queued_at DATETIME NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (shift_id) REFERENCES opportunity_shifts(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_shift_user (shift_id, user_id)
+    )
+  `);
+
+  // Volunteer hours: shift check-in/check-out or manual entries awaiting approval
+  await connection.query(`
+    ALTER TABLE volunteers
+    ADD COLUMN IF NOT EXISTS user_id INT NULL,
+    ADD CONSTRAINT fk_volunteers_user FOREIGN KEY IF NOT EXISTS (user_id)
+      REFERENCES users(id) ON DELETE SET NULL
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS volunteer_hours (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      volunteer_id INT NOT NULL,
+      shift_id INT NULL,
+      opportunity_id INT NULL,
+      source ENUM('check_in', 'manual') NOT NULL,
+      work_date DATE NOT NULL,
+      check_in_at DATETIME NULL,
+      check_out_at DATETIME NULL,
+      hours DECIMAL(6, 2) NULL,
+      description TEXT,
+      status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+      review_notes TEXT,
+      reviewed_by INT NULL,
+      reviewed_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (volunteer_id) REFERENCES volunteers(id) ON DELETE CASCADE,
+      FOREIGN KEY (shift_id) REFERENCES opportunity_shifts(id) ON DELETE SET NULL,
+      FOREIGN KEY (opportunity_id) REFERENCES opportunities(id) ON DELETE SET NULL,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE KEY unique_volunteer_shift (volunteer_id, shift_id),
+      INDEX (status, work_date)
+    )
+  `);
+
+  // Seed the opportunities that used to be hardcoded in the API
+  const [[{ opportunityCount }]] = await connection.query('SELECT COUNT(*) AS opportunityCount FROM opportunities');
+  if (opportunityCount === 0) {
+    await connection.query(
+      'INSERT INTO opportunities (title, description, time_commitment, location) VALUES ?',
+      [[
+        ['Food Distribution Volunteer', 'Help pack and distribute food to families in need at our community centers.', 'Weekday mornings (9am-12pm)', 'Downtown Center'],
+        ['Shelter Support Staff', 'Assist with check-ins, meal service, and overnight monitoring at our shelters.', 'Evenings and weekends', 'Multiple locations'],
+        ['Tutoring & Mentoring', 'Work with children and youth to provide academic support and guidance.', 'After-school hours', 'Education Center'],
+        ['Event Coordination', 'Help plan and execute fundraising and awareness events.', 'Flexible', 'Main Office']
+      ]]
+    );
+  }
+
+  // Blog reviews (one per user per post, moderated before they count)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS blog_reviews (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      blog_id INT NOT NULL,
+      user_id INT NULL,
+      author VARCHAR(100) NOT NULL,
+      rating TINYINT NOT NULL,
+      comment TEXT,
+      status ENUM('pending', 'approved', 'hidden') NOT NULL DEFAULT 'pending',
+      moderated_by INT NULL,
+      moderated_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (blog_id) REFERENCES blogs(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (moderated_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE KEY unique_blog_user (blog_id, user_id),
+      INDEX (status, updated_at),
+      CHECK (rating BETWEEN 1 AND 5)
+    )
+  `);
+
+  // Move reviews out of the old blogs.reviews JSON column, then drop it (the
+  // count is reported by the migrate CLI)
+  const [legacyReviews] = await connection.query(`
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'blogs' AND COLUMN_NAME = 'reviews'
+  `);
+  if (legacyReviews.length > 0) {
+    await connection.beginTransaction();
+    const [moved] = await connection.query(`
+      INSERT INTO blog_reviews (blog_id, author, rating, status, created_at)
+      SELECT b.id, COALESCE(r.author, 'Anonymous'), r.rating, 'approved',
+        COALESCE(FROM_UNIXTIME(r.legacy_id / 1000), NOW())
+      FROM blogs b,
+        JSON_TABLE(b.reviews, '$[*]' COLUMNS (
+          legacy_id BIGINT PATH '$.id',
+          author VARCHAR(100) PATH '$.author',
+          rating INT PATH '$.rating'
+        )) r
+      WHERE r.rating BETWEEN 1 AND 5
+    `);
+    await connection.commit();
+    await connection.query('ALTER TABLE blogs DROP COLUMN reviews');
+    note = `moved ${moved.affectedRows} blog review(s) to the blog_reviews table`;
+  }
+
+  // Add CMS columns to blogs table if they don't exist
+  await connection.query(`
+    ALTER TABLE blogs
+    ADD COLUMN IF NOT EXISTS slug VARCHAR(255) UNIQUE,
+    ADD COLUMN IF NOT EXISTS status ENUM('draft', 'published', 'scheduled') NOT NULL DEFAULT 'published',
+    ADD COLUMN IF NOT EXISTS publish_at DATETIME NULL,
+    ADD COLUMN IF NOT EXISTS author_id INT NULL
+  `);
+
+  // Indexes for the blog listing filters and full-text search
+  await connection.query(`
+    ALTER TABLE blogs
+    ADD INDEX IF NOT EXISTS idx_blogs_category_date (category, date),
+    ADD FULLTEXT INDEX IF NOT EXISTS ft_blogs_search (title, description, content)
+  `);
+
+  // Give posts created before slugs existed a unique one (title + id)
+  await connection.query(`
+    UPDATE blogs
+    SET slug = CONCAT(TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(title), '[^a-z0-9]+', '-')), '-', id)
+    WHERE slug IS NULL
+  `);
+
+  // Payments go through a provider now: track the intent, allow refunds and
+  // stop keeping (even hashed) card numbers and CVVs
+  await connection.query(`
+    ALTER TABLE Donations
+    MODIFY COLUMN payment_status ENUM('pending', 'completed', 'failed', 'refunded') DEFAULT 'pending',
+    ADD COLUMN IF NOT EXISTS payment_provider VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS payment_intent_id VARCHAR(255) UNIQUE
+  `);
+  await connection.query(`
+    ALTER TABLE PaymentMethods
+    DROP COLUMN IF EXISTS card_number_hash,
+    DROP COLUMN IF EXISTS cvv_hash,
+    MODIFY COLUMN expiry_month INT,
+    MODIFY COLUMN expiry_year INT
+  `);
+
+  // Recurring donations; each charge is a Donations row pointing back here
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS subscriptions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      frequency ENUM('monthly', 'quarterly', 'yearly') NOT NULL,
+      status ENUM('active', 'paused', 'past_due', 'cancelled') NOT NULL DEFAULT 'active',
+      payment_provider VARCHAR(50) NOT NULL,
+      payment_method_id VARCHAR(255) NOT NULL,
+      card_type VARCHAR(50) NOT NULL,
+      card_last_four VARCHAR(4) NOT NULL,
+      cardholder_name VARCHAR(255) NOT NULL,
+      country VARCHAR(100) NOT NULL,
+      billing_anchor_day TINYINT NOT NULL,
+      period_start DATETIME NOT NULL,
+      next_charge_at DATETIME NOT NULL,
+      charge_in_progress TINYINT(1) NOT NULL DEFAULT 0,
+      charge_claimed_at DATETIME NULL,
+      failed_attempts INT NOT NULL DEFAULT 0,
+      last_charged_at DATETIME NULL,
+      cancelled_at DATETIME NULL,
+      cancel_reason VARCHAR(50) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX (email),
+      INDEX (status, next_charge_at)
+    )
+  `);
+  await connection.query(`
+    ALTER TABLE Donations
+    ADD COLUMN IF NOT EXISTS subscription_id INT NULL,
+    ADD CONSTRAINT fk_donations_subscription FOREIGN KEY IF NOT EXISTS (subscription_id)
+      REFERENCES subscriptions(id) ON DELETE SET NULL
+  `);
+
+  // Donation receipts: numbered per year from receipt_sequences and never deleted
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS receipt_sequences (
+      year INT PRIMARY KEY,
+      last_number INT NOT NULL DEFAULT 0
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS receipts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      receipt_number VARCHAR(32) NOT NULL UNIQUE,
+      donation_id INT NOT NULL UNIQUE,
+      email VARCHAR(255) NOT NULL,
+      donor_name VARCHAR(255) NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      card_last_four VARCHAR(4) NOT NULL,
+      donated_at DATETIME NOT NULL,
+      issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      status ENUM('issued', 'void') NOT NULL DEFAULT 'issued',
+      voided_at DATETIME NULL,
+      FOREIGN KEY (donation_id) REFERENCES Donations(id),
+      INDEX (email, donated_at)
+    )
+  `);
+
+  // Fundraising campaigns; donations are attributed through Donations.campaign_id
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS campaigns (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NOT NULL,
+      image_url VARCHAR(255),
+      goal_amount DECIMAL(12, 2) NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NULL,
+      status ENUM('draft', 'active', 'completed', 'cancelled') NOT NULL DEFAULT 'draft',
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX (status, start_date)
+    )
+  `);
+  await connection.query(`
+    ALTER TABLE Donations
+    ADD COLUMN IF NOT EXISTS campaign_id INT NULL,
+    ADD CONSTRAINT fk_donations_campaign FOREIGN KEY IF NOT EXISTS (campaign_id)
+      REFERENCES campaigns(id) ON DELETE SET NULL
+  `);
+
+  // Processed payment webhook events, so retried deliveries are ignored
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS payment_events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      event_id VARCHAR(255) NOT NULL UNIQUE,
+      event_type VARCHAR(100) NOT NULL,
+      payment_intent_id VARCHAR(255),
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Add role column to users table if it doesn't exist
+  await connection.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS role ENUM('admin', 'editor', 'donor') NOT NULL DEFAULT 'donor'
+  `);
+
+  // Email verification. Accounts created before verification existed count as verified.
+  const [verifiedColumn] = await connection.query(`
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'email_verified_at'
+  `);
+  if (verifiedColumn.length === 0) {
+    await connection.query('ALTER TABLE users ADD COLUMN email_verified_at DATETIME NULL');
+    await connection.query('UPDATE users SET email_verified_at = created_at');
+  }
+
+  // Single-use tokens for email verification and password reset (hashed)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      type ENUM('email_verification', 'password_reset') NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX (user_id, type)
+    )
+  `);
+
+  // Login sessions and their rotating refresh tokens (stored hashed)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id CHAR(36) PRIMARY KEY,
+      user_id INT NOT NULL,
+      ip_address VARCHAR(45),
+      user_agent VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      revoked_reason VARCHAR(50) NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX (user_id, revoked_at)
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      session_id CHAR(36) NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  return note;
+}
+
+async function down() {
+  throw new Error('The baseline migration cannot be rolled back');
+}
+
+module.exports = { up, down };
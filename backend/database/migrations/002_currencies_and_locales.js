@@ -0,0 +1,63 @@
+// backend/database/migrations/002_currencies_and_locales.js
+// Donations, subscriptions and receipts get a currency; donations also store
+// the exchange rate and base-currency value used for reporting. Users get an
+// optional locale preference for formatted dates and amounts.
+//
+// Migrations must not depend on code or data that changes later, so the rates
+// below are the exchange-rate table as it stood when this was written
+// (2026-10-01, units per US dollar), not the live one.
+const USD_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.37,
+  AUD: 1.52,
+  KES: 129.2,
+  UGX: 3690,
+  TZS: 2690,
+  NGN: 1545,
+  ZAR: 18.1
+};
+
+// US dollars per unit of the base currency (see currency/index.js)
+function usdRate() {
+  const base = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+  if (!USD_RATES[base]) {
+    throw new Error(`No exchange rate for ${base} to convert existing US dollar donations`);
+  }
+  return 1 / USD_RATES[base];
+}
+
+async function up(connection) {
+  // Everything taken so far was charged in US dollars
+  await connection.query(`
+    ALTER TABLE Donations
+      ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD' AFTER amount,
+      ADD COLUMN exchange_rate DECIMAL(18, 8) NOT NULL DEFAULT 1 AFTER currency,
+      ADD COLUMN base_amount DECIMAL(12, 2) NULL AFTER exchange_rate
+  `);
+  const rate = usdRate();
+  await connection.query(
+    'UPDATE Donations SET exchange_rate = ?, base_amount = ROUND(amount / ?, 2)',
+    [rate, rate]
+  );
+  await connection.query('ALTER TABLE Donations MODIFY base_amount DECIMAL(12, 2) NOT NULL');
+
+  await connection.query(
+    "ALTER TABLE subscriptions ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD' AFTER amount"
+  );
+  await connection.query(
+    "ALTER TABLE receipts ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD' AFTER amount"
+  );
+
+  await connection.query('ALTER TABLE users ADD COLUMN locale VARCHAR(35) NULL AFTER role');
+}
+
+async function down(connection) {
+  await connection.query('ALTER TABLE users DROP COLUMN locale');
+  await connection.query('ALTER TABLE receipts DROP COLUMN currency');
+  await connection.query('ALTER TABLE subscriptions DROP COLUMN currency');
+  await connection.query('ALTER TABLE Donations DROP COLUMN base_amount, DROP COLUMN exchange_rate, DROP COLUMN currency');
+}
+
+module.exports = { up, down };
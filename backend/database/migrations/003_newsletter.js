@@ -0,0 +1,86 @@
+// backend/database/migrations/003_newsletter.js
+// Newsletter subscribers (double opt-in, topics are blog categories) and
+// issues sent to them, with one delivery row per recipient.
+
+async function up(connection) {
+  await connection.query(`
+    CREATE TABLE subscribers (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(100) NOT NULL UNIQUE,
+      status ENUM('pending', 'active', 'unsubscribed') NOT NULL DEFAULT 'pending',
+      confirm_token_hash CHAR(64) NULL UNIQUE,
+      confirm_expires_at DATETIME NULL,
+      confirmed_at DATETIME NULL,
+      unsubscribed_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX (status)
+    )
+  `);
+
+  // No rows means the subscriber wants every topic
+  await connection.query(`
+    CREATE TABLE subscriber_topics (
+      subscriber_id INT NOT NULL,
+      category VARCHAR(50) NOT NULL,
+      PRIMARY KEY (subscriber_id, category),
+      FOREIGN KEY (subscriber_id) REFERENCES subscribers(id) ON DELETE CASCADE
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE newsletter_issues (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      subject VARCHAR(255) NOT NULL,
+      intro TEXT NOT NULL,
+      status ENUM('draft', 'sending', 'sent') NOT NULL DEFAULT 'draft',
+      created_by INT NULL,
+      queued_at DATETIME NULL,
+      sent_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE newsletter_issue_posts (
+      issue_id INT NOT NULL,
+      blog_id INT NOT NULL,
+      position INT NOT NULL,
+      PRIMARY KEY (issue_id, blog_id),
+      FOREIGN KEY (issue_id) REFERENCES newsletter_issues(id) ON DELETE CASCADE,
+      FOREIGN KEY (blog_id) REFERENCES blogs(id) ON DELETE CASCADE
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE newsletter_deliveries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      issue_id INT NOT NULL,
+      subscriber_id INT NOT NULL,
+      email VARCHAR(100) NOT NULL,
+      status ENUM('queued', 'sending', 'sent', 'failed', 'skipped') NOT NULL DEFAULT 'queued',
+      attempts INT NOT NULL DEFAULT 0,
+      last_error VARCHAR(255) NULL,
+      message_id VARCHAR(255) NULL,
+      sent_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY (issue_id, subscriber_id),
+      FOREIGN KEY (issue_id) REFERENCES newsletter_issues(id) ON DELETE CASCADE,
+      FOREIGN KEY (subscriber_id) REFERENCES subscribers(id) ON DELETE CASCADE,
+      INDEX (status, id)
+    )
+  `);
+}
+
+async function down(connection) {
+  await connection.query('DROP TABLE newsletter_deliveries');
+  await connection.query('DROP TABLE newsletter_issue_posts');
+  await connection.query('DROP TABLE newsletter_issues');
+  await connection.query('DROP TABLE subscriber_topics');
+  await connection.query('DROP TABLE subscribers');
+}
+
+module.exports = { up, down };
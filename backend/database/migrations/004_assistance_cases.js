@@ -0,0 +1,77 @@
+// backend/database/migrations/004_assistance_cases.js
+// Assistance requests from the people the foundation helps, worked as cases by
+// caseworkers (a new user role). Contact details, the description of the need
+// and case notes are encrypted by the application (see encryption/), so those
+// columns are TEXT and cannot be searched in SQL.
+
+async function up(connection) {
+  await connection.query(
+    "ALTER TABLE users MODIFY role ENUM('admin', 'editor', 'donor', 'caseworker') NOT NULL DEFAULT 'donor'"
+  );
+
+  await connection.query(`
+    CREATE TABLE assistance_cases (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      need_type ENUM('food', 'shelter', 'education', 'health', 'financial', 'other') NOT NULL,
+      household_size SMALLINT NOT NULL,
+      location VARCHAR(100) NOT NULL,
+      applicant_name TEXT NOT NULL,
+      phone TEXT NULL,
+      email TEXT NULL,
+      address TEXT NULL,
+      details TEXT NULL,
+      status ENUM('new', 'in_review', 'in_progress', 'on_hold', 'resolved', 'declined', 'closed') NOT NULL DEFAULT 'new',
+      assigned_to INT NULL,
+      follow_up_date DATE NULL,
+      submitted_via ENUM('self', 'caseworker') NOT NULL,
+      submitted_by INT NULL,
+      closed_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (submitted_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX (status),
+      INDEX (assigned_to),
+      INDEX (follow_up_date)
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE case_notes (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      case_id INT NOT NULL,
+      note TEXT NOT NULL,
+      author_id INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (case_id) REFERENCES assistance_cases(id) ON DELETE CASCADE,
+      FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Status, assignment and follow-up changes (values are statuses, user ids or dates)
+  await connection.query(`
+    CREATE TABLE case_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      case_id INT NOT NULL,
+      field ENUM('status', 'assigned_to', 'follow_up_date') NOT NULL,
+      from_value VARCHAR(20) NULL,
+      to_value VARCHAR(20) NULL,
+      changed_by INT NULL,
+      changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (case_id) REFERENCES assistance_cases(id) ON DELETE CASCADE,
+      FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+}
+
+async function down(connection) {
+  await connection.query('DROP TABLE case_history');
+  await connection.query('DROP TABLE case_notes');
+  await connection.query('DROP TABLE assistance_cases');
+  await connection.query("UPDATE users SET role = 'donor' WHERE role = 'caseworker'");
+  await connection.query(
+    "ALTER TABLE users MODIFY role ENUM('admin', 'editor', 'donor') NOT NULL DEFAULT 'donor'"
+  );
+}
+
+module.exports = { up, down };
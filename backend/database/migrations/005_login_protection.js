@@ -0,0 +1,38 @@
+// backend/database/migrations/005_login_protection.js
+// Failed login tracking for progressive account lockout, unlock tokens, and
+// the counters of the shared (RATE_LIMIT_STORE=mysql) rate limit store.
+
+async function up(connection) {
+  await connection.query(`
+    ALTER TABLE users
+      ADD COLUMN failed_login_attempts INT NOT NULL DEFAULT 0,
+      ADD COLUMN last_failed_login_at DATETIME NULL,
+      ADD COLUMN locked_until DATETIME NULL
+  `);
+
+  await connection.query(
+    "ALTER TABLE user_tokens MODIFY type ENUM('email_verification', 'password_reset', 'account_unlock') NOT NULL"
+  );
+
+  await connection.query(`
+    CREATE TABLE rate_limit_hits (
+      \`key\` VARCHAR(255) PRIMARY KEY,
+      hits INT NOT NULL,
+      reset_at DATETIME(3) NOT NULL,
+      INDEX (reset_at)
+    )
+  `);
+}
+
+async function down(connection) {
+  await connection.query('DROP TABLE rate_limit_hits');
+  await connection.query("DELETE FROM user_tokens WHERE type = 'account_unlock'");
+  await connection.query(
+    "ALTER TABLE user_tokens MODIFY type ENUM('email_verification', 'password_reset') NOT NULL"
+  );
+  await connection.query(
+    'ALTER TABLE users DROP COLUMN locked_until, DROP COLUMN last_failed_login_at, DROP COLUMN failed_login_attempts'
+  );
+}
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+// backend/database/migrations/006_audit_log.js
+// Append-only audit log. actor_id has no foreign key so entries outlive the
+// accounts they mention; entity_id is text because not every entity has an
+// integer id. The triggers make the table append-only for the application user.
+// audit_log_personal holds each entry's IP, user agent and personal free-text
+// diffs; it has no triggers, so that data can be deleted with the account.
+
+async function up(connection) {
+  await connection.query(`
+    CREATE TABLE audit_log (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      actor_id INT NULL,
+      actor_role VARCHAR(20) NULL,
+      action VARCHAR(50) NOT NULL,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id VARCHAR(50) NULL,
+      changes JSON NULL,
+      created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      INDEX (actor_id, created_at),
+      INDEX (entity_type, entity_id, created_at),
+      INDEX (action, created_at),
+      INDEX (created_at)
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE audit_log_personal (
+      audit_id BIGINT PRIMARY KEY,
+      ip VARCHAR(45) NULL,
+      user_agent VARCHAR(255) NULL,
+      changes JSON NULL,
+      FOREIGN KEY (audit_id) REFERENCES audit_log(id)
+    )
+  `);
+
+  await connection.query(`
+    CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log FOR EACH ROW
+      SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'
+  `);
+  await connection.query(`
+    CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log FOR EACH ROW
+      SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'
+  `);
+}
+
+async function down(connection) {
+  await connection.query('DROP TRIGGER audit_log_no_delete');
+  await connection.query('DROP TRIGGER audit_log_no_update');
+  await connection.query('DROP TABLE audit_log_personal');
+  await connection.query('DROP TABLE audit_log');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+// backend/database/migrations/007_account_deletion.js
+// Self-service account deletion: a request is recorded with the time the
+// account will actually be deleted, and can be cancelled until then.
+
+async function up(connection) {
+  await connection.query(`
+    ALTER TABLE users
+      ADD COLUMN deletion_requested_at DATETIME NULL,
+      ADD COLUMN deletion_scheduled_at DATETIME NULL,
+      ADD INDEX (deletion_scheduled_at)
+  `);
+}
+
+async function down(connection) {
+  await connection.query(
+    'ALTER TABLE users DROP INDEX deletion_scheduled_at, DROP COLUMN deletion_scheduled_at, DROP COLUMN deletion_requested_at'
+  );
+}
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+// backend/encryption/index.js
+// Encryption at rest for sensitive columns (AES-256-GCM). The key is
+// FIELD_ENCRYPTION_KEY: 32 random bytes, base64 encoded, e.g.
+//   node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+// Values are stored as "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts); the
+// version prefix leaves room for key rotation. Losing the key loses the data.
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+let cachedKey = null;
+
+function getKey() {
+  if (!cachedKey) {
+    const key = Buffer.from(process.env.FIELD_ENCRYPTION_KEY || '', 'base64');
+    if (key.length !== 32) {
+      throw new Error('FIELD_ENCRYPTION_KEY must be set to 32 bytes, base64 encoded');
+    }
+    cachedKey = key;
+  }
+  return cachedKey;
+}
+
+// Throws the configuration error now instead of on the first sensitive write
+function checkEncryptionKey() {
+  getKey();
+}
+
+// Ciphertext for a column; null and undefined stay null
+function encrypt(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+// Plain text of an encrypt() result. Throws if the value was tampered with or the key is wrong.
+function decrypt(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const [version, iv, tag, ciphertext] = String(value).split(':');
+  if (version !== VERSION || ciphertext === undefined) {
+    throw new Error('Value is not in a supported encrypted format');
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = { checkEncryptionKey, encrypt, decrypt };
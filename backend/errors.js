@@ -0,0 +1,107 @@
+// backend/errors.js
+// Error responses. Every error the API returns has the shape
+//   { error: 'Human readable message', code: 'MACHINE_READABLE_CODE', fields?: { field: message } }
+// Handlers either answer with res.status(4xx).json({ error }) (a code is filled
+// in from the status) or pass the error to next() and let errorHandler map it.
+const { logger, routeOf } = require('./logging');
+
+// Default code for each error status
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  423: 'LOCKED',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+class ApiError extends Error {
+  constructor(status, code, message, fields) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+// Database errors that are the client's fault
+const DATABASE_ERRORS = {
+  ER_DUP_ENTRY: [409, 'DUPLICATE_ENTRY', 'A record with these details already exists'],
+  ER_NO_REFERENCED_ROW: [400, 'INVALID_REFERENCE', 'A referenced record does not exist'],
+  ER_NO_REFERENCED_ROW_2: [400, 'INVALID_REFERENCE', 'A referenced record does not exist'],
+  ER_ROW_IS_REFERENCED: [409, 'RECORD_IN_USE', 'The record is still referenced by other records'],
+  ER_ROW_IS_REFERENCED_2: [409, 'RECORD_IN_USE', 'The record is still referenced by other records'],
+  ER_DATA_TOO_LONG: [400, 'VALUE_TOO_LONG', 'A value is too long'],
+  ER_TRUNCATED_WRONG_VALUE: [400, 'INVALID_VALUE', 'A value has the wrong format'],
+  ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: [400, 'INVALID_VALUE', 'A value has the wrong format'],
+  WARN_DATA_TRUNCATED: [400, 'INVALID_VALUE', 'A value has the wrong format'],
+  ER_WARN_DATA_OUT_OF_RANGE: [400, 'INVALID_VALUE', 'A value is out of range'],
+  ER_CONSTRAINT_FAILED: [400, 'INVALID_VALUE', 'A value breaks a constraint'],
+  ER_CHECK_CONSTRAINT_VIOLATED: [400, 'INVALID_VALUE', 'A value breaks a constraint']
+};
+
+// Fill in `code` on error responses that only set `error`
+function errorCodes(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+      body = { ...body, code: STATUS_CODES[res.statusCode] || (res.statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST') };
+    }
+    return json(body);
+  };
+  next();
+}
+
+function toApiError(err) {
+  if (err instanceof ApiError) {
+    return err;
+  }
+
+  // Errors raised by body-parser
+  if (err.type === 'entity.parse.failed') {
+    return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+
+  if (DATABASE_ERRORS[err.code]) {
+    const [status, code, message] = DATABASE_ERRORS[err.code];
+    // MySQL names the offending column in most of these messages
+    const column = /column '([^']+)'/.exec(err.sqlMessage || '');
+    const fields = column ? { [column[1]]: code === 'VALUE_TOO_LONG' ? 'is too long' : 'is not valid' } : undefined;
+    return new ApiError(status, code, message, fields);
+  }
+
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new ApiError(err.status, STATUS_CODES[err.status] || 'BAD_REQUEST', err.message);
+  }
+
+  return null;
+}
+
+// Final error middleware
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const apiError = toApiError(err);
+  if (!apiError) {
+    logger.error('Unhandled error', { method: req.method, route: routeOf(req), err });
+    return res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+
+  const body = { error: apiError.message, code: apiError.code };
+  if (apiError.fields) {
+    body.fields = apiError.fields;
+  }
+  res.status(apiError.status).json(body);
+}
+
+module.exports = { ApiError, errorCodes, errorHandler };
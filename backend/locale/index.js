@@ -0,0 +1,96 @@
+// backend/locale/index.js
+// Locale-aware display strings. Responses always carry ISO dates and plain
+// numbers; when the request has a locale (the user's saved preference, else the
+// best supported match from Accept-Language) they also get a `formatted` object
+// with the same fields as display strings.
+
+// Used where a document needs some locale (PDFs) and the request has none
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en-US';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Canonical form of a BCP 47 tag, or null if it is malformed or unsupported
+function normalizeLocale(tag) {
+  try {
+    const [locale] = Intl.getCanonicalLocales(tag);
+    return locale && Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0 ? locale : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Accept-Language tags ordered by preference ("de-CH, de;q=0.9, *;q=0.5")
+function parseAcceptLanguage(header) {
+  if (!header) return [];
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+      return { tag: tag.trim(), quality: q ? Number(q[1]) : 1, index };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.tag);
+}
+
+// The locale to format a response in, or null to send ISO values only
+function resolveLocale(req) {
+  if (req.user && req.user.locale) {
+    return req.user.locale;
+  }
+  for (const tag of parseAcceptLanguage(req.headers['accept-language'])) {
+    const locale = normalizeLocale(tag);
+    if (locale) return locale;
+  }
+  return null;
+}
+
+// "March 5, 2025" in en-US. DATE columns sent as YYYY-MM-DD are not shifted by the server time zone.
+function formatDate(value, locale) {
+  const options = { year: 'numeric', month: 'long', day: 'numeric' };
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    return new Date(`${value}T00:00:00Z`).toLocaleDateString(locale, { ...options, timeZone: 'UTC' });
+  }
+  return new Date(value).toLocaleDateString(locale, options);
+}
+
+function formatDateTime(value, locale) {
+  return new Date(value).toLocaleString(locale, { dateStyle: 'long', timeStyle: 'short' });
+}
+
+function formatAmount(amount, currency, locale) {
+  return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(Number(amount));
+}
+
+// Copy of `record` with a `formatted` object for the listed fields (unchanged without a locale).
+// Amounts are in `currency`, which defaults to the record's own currency column.
+function localize(record, locale, { dates = [], dateTimes = [], amounts = [], currency = record.currency } = {}) {
+  if (!locale) {
+    return record;
+  }
+
+  const formatted = {};
+  for (const field of dates) {
+    if (record[field]) formatted[field] = formatDate(record[field], locale);
+  }
+  for (const field of dateTimes) {
+    if (record[field]) formatted[field] = formatDateTime(record[field], locale);
+  }
+  for (const field of amounts) {
+    if (record[field] !== null && record[field] !== undefined) {
+      formatted[field] = formatAmount(record[field], currency, locale);
+    }
+  }
+  return { ...record, formatted };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  resolveLocale,
+  formatDate,
+  formatDateTime,
+  formatAmount,
+  localize
+};
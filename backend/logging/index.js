@@ -0,0 +1,111 @@
+// backend/logging/index.js
+// Structured logs: one JSON object per line on stdout, e.g.
+//   {"time":"...","level":"error","msg":"Error charging subscription","requestId":"...","subscriptionId":7,"err":{...}}
+// Lines logged while handling a request carry its request ID (see requestContext).
+// Personal data is redacted before anything is written: fields whose name looks
+// sensitive are replaced, and email addresses inside text are masked.
+// LOG_LEVEL is one of debug, info (the default), warn, error.
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const SENSITIVE_FIELD = /pass(word)?|secret|token|authorization|cookie|card|cvc|email|phone|address|first_?name|last_?name|cardholder|applicant|bio/i;
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+const context = new AsyncLocalStorage();
+
+function redactText(text) {
+  return text.replace(EMAIL, '$1***@$2');
+}
+
+// Only what is useful for debugging: mysql2 errors also carry the full SQL with its values
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: redactText(String(err.message)),
+    code: err.code,
+    stack: err.stack ? redactText(err.stack) : undefined
+  };
+}
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (depth >= 5) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_FIELD.test(key) && item !== null && item !== undefined ? '[REDACTED]' : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < LOG_LEVEL) {
+    return;
+  }
+
+  const store = context.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactText(String(msg)),
+    ...(store && { requestId: store.requestId }),
+    ...redact(fields)
+  };
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// Incoming X-Request-ID values are kept when they look like IDs, so a request can be traced across services
+const REQUEST_ID = /^[A-Za-z0-9._-]{1,100}$/;
+
+// Gives every request an ID (req.id, echoed in X-Request-ID) and logs it when it finishes
+function requestContext(req, res, next) {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-ID', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : 'info';
+    // The route pattern, not the URL: paths and query strings can carry tokens and emails
+    write(level, 'Request completed', {
+      requestId: req.id,
+      method: req.method,
+      route: routeOf(req),
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+      userId: req.user ? req.user.userId : undefined
+    });
+  });
+
+  context.run({ requestId: req.id }, next);
+}
+
+// "/api/blogs/:id" for a matched route, "unmatched" otherwise
+function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+module.exports = { logger, redact, requestContext, routeOf };
@@ -0,0 +1,11 @@
+// backend/mail/consoleTransport.js
+// Development transport: messages are printed instead of sent.
+const crypto = require('crypto');
+
+async function send(message) {
+  const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  console.log(`--- Mail ${messageId} ---\nFrom: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n---`);
+  return { messageId };
+}
+
+module.exports = { name: 'console', send };
@@ -0,0 +1,20 @@
+// backend/mail/fileTransport.js
+// Development transport: every message is written as a JSON file to MAIL_OUTPUT_DIR.
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(os.tmpdir(), 'kandoo-mail');
+
+async function send(message) {
+  const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(
+    path.join(outputDir, `${messageId}.json`),
+    JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+  );
+  return { messageId };
+}
+
+module.exports = { name: 'file', send };
@@ -0,0 +1,47 @@
+// backend/mail/index.js
+// Mail transport selection. A transport module exports:
+//   name
+//   send({ from, to, subject, text, html, headers }) -> { messageId }
+// MAIL_TRANSPORT picks one of: smtp, file, console. The default is smtp in
+// production and console elsewhere. The console transport prints whole messages,
+// reset and verification links included, so production refuses it, and SMTP
+// there needs SMTP_HOST.
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+const transports = {
+  smtp: () => require('./smtpTransport'),
+  file: () => require('./fileTransport'),
+  console: () => require('./consoleTransport')
+};
+
+let transport = null;
+
+function getMailTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (IS_PRODUCTION ? 'smtp' : 'console');
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    if (IS_PRODUCTION && name === 'console') {
+      throw new Error('The console mail transport prints messages with their links; it cannot be used in production');
+    }
+    if (IS_PRODUCTION && name === 'smtp' && !process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST must be set');
+    }
+    transport = transports[name]();
+  }
+  return transport;
+}
+
+async function sendMail({ to, subject, text, html, headers }) {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'Kandoo Foundation <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+    headers
+  });
+}
+
+module.exports = { getMailTransport, sendMail };
@@ -0,0 +1,18 @@
+// backend/mail/smtpTransport.js
+const nodemailer = require('nodemailer');
+
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'localhost',
+  port: Number(process.env.SMTP_PORT || 587),
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+    : undefined
+});
+
+async function send(message) {
+  const info = await transporter.sendMail(message);
+  return { messageId: info.messageId };
+}
+
+module.exports = { name: 'smtp', send };
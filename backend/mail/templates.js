@@ -0,0 +1,129 @@
+// backend/mail/templates.js
+// Account and newsletter emails. Each function returns { subject, text, html } for sendMail().
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function frontendUrl(pathname, params) {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:3000');
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
+
+function actionEmail({ subject, greeting, body, actionText, link, footer }) {
+  return {
+    subject,
+    text: `${greeting}\n\n${body}\n\n${link}\n\n${footer}`,
+    html: `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(body)}</p>` +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(actionText)}</a></p><p>${escapeHtml(footer)}</p>`
+  };
+}
+
+function verificationEmail({ firstName, token, expiresInHours }) {
+  return actionEmail({
+    subject: 'Please verify your email address',
+    greeting: `Hi ${firstName},`,
+    body: 'Thanks for signing up. Please confirm your email address by opening the link below.',
+    actionText: 'Verify email',
+    link: frontendUrl('/verify-email', { token }),
+    footer: `This link expires in ${expiresInHours} hours. If you did not sign up, you can ignore this email.`
+  });
+}
+
+function passwordResetEmail({ firstName, token, expiresInMinutes }) {
+  return actionEmail({
+    subject: 'Reset your password',
+    greeting: `Hi ${firstName},`,
+    body: 'We received a request to reset your password. Open the link below to choose a new one.',
+    actionText: 'Reset password',
+    link: frontendUrl('/reset-password', { token }),
+    footer: `This link expires in ${expiresInMinutes} minutes and can be used once. If you did not ask for a reset, you can ignore this email.`
+  });
+}
+
+function accountLockedEmail({ firstName, token, lockedMinutes }) {
+  return actionEmail({
+    subject: 'Your account has been locked',
+    greeting: `Hi ${firstName},`,
+    body: `We locked your account for ${lockedMinutes} minutes after several failed login attempts. ` +
+      'If this was you, open the link below to unlock it now.',
+    actionText: 'Unlock account',
+    link: frontendUrl('/unlock-account', { token }),
+    footer: 'If this was not you, someone may be guessing your password: we recommend resetting it. ' +
+      'The link can be used once.'
+  });
+}
+
+function accountDeletionEmail({ firstName, deleteOn }) {
+  return actionEmail({
+    subject: 'Your account is scheduled for deletion',
+    greeting: `Hi ${firstName},`,
+    body: `As you asked, your account and personal data will be deleted on ${deleteOn}. ` +
+      'Until then you can change your mind: log in and cancel the deletion from your account settings.',
+    actionText: 'Keep my account',
+    link: frontendUrl('/settings', {}),
+    footer: 'If you did not ask for this, log in, cancel the deletion and change your password.'
+  });
+}
+
+function volunteerDecisionEmail({ firstName, interestArea, approved }) {
+  const body = approved
+    ? `Good news! Your application to volunteer in ${interestArea} has been approved. ` +
+      'You can now sign up for shifts on our volunteer page.'
+    : `Thank you for applying to volunteer in ${interestArea}. Unfortunately we are not able to ` +
+      'offer you a place at this time. You are welcome to apply again in the future.';
+  const text = `Hi ${firstName},\n\n${body}\n\nThe Kandoo Foundation team`;
+
+  return {
+    subject: approved ? 'Your volunteer application was approved' : 'Update on your volunteer application',
+    text,
+    html: `<p>Hi ${escapeHtml(firstName)},</p><p>${escapeHtml(body)}</p><p>The Kandoo Foundation team</p>`
+  };
+}
+
+function newsletterConfirmationEmail({ token, expiresInHours }) {
+  return actionEmail({
+    subject: 'Please confirm your newsletter subscription',
+    greeting: 'Hi,',
+    body: 'Thanks for subscribing to Kandoo Foundation updates. Please confirm your subscription by opening the link below.',
+    actionText: 'Confirm subscription',
+    link: frontendUrl('/newsletter/confirm', { token }),
+    footer: `This link expires in ${expiresInHours} hours. If you did not subscribe, you can ignore this email and you will not hear from us.`
+  });
+}
+
+// An issue: the intro followed by a teaser and link for each post
+function newsletterIssueEmail({ subject, intro, posts, preferencesLink, unsubscribeLink }) {
+  const items = posts.map(post => ({ ...post, link: frontendUrl(`/blog/${post.slug}`, {}) }));
+  const footer = 'You are receiving this because you subscribed to Kandoo Foundation updates.';
+
+  return {
+    subject,
+    text: [
+      intro,
+      ...items.map(post => `${post.title}\n${post.description}\n${post.link}`),
+      `${footer}\nManage your topics: ${preferencesLink}\nUnsubscribe: ${unsubscribeLink}`
+    ].join('\n\n'),
+    html: `<p>${escapeHtml(intro)}</p>` +
+      items.map(post => `<h3><a href="${escapeHtml(post.link)}">${escapeHtml(post.title)}</a></h3>` +
+        `<p>${escapeHtml(post.description)}</p>`).join('') +
+      `<p><small>${escapeHtml(footer)} <a href="${escapeHtml(preferencesLink)}">Manage your topics</a> | ` +
+      `<a href="${escapeHtml(unsubscribeLink)}">Unsubscribe</a></small></p>`
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  frontendUrl,
+  verificationEmail,
+  passwordResetEmail,
+  accountLockedEmail,
+  accountDeletionEmail,
+  volunteerDecisionEmail,
+  newsletterConfirmationEmail,
+  newsletterIssueEmail
+};
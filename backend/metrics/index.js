@@ -0,0 +1,86 @@
+// backend/metrics/index.js
+// Request metrics in the Prometheus text format, served by GET /metrics:
+//   http_requests_total{method,route,status}          requests handled (error rate: status=~"5..")
+//   http_request_duration_seconds{method,route}       latency histogram
+// plus process uptime and memory. Routes are labelled by their pattern
+// ("/api/blogs/:id") so the number of series stays small.
+const { routeOf } = require('../logging');
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const requestCounts = new Map();
+const durations = new Map();
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labels(values) {
+  return `{${Object.entries(values).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function observe(method, route, status, seconds) {
+  const countKey = labels({ method, route, status });
+  requestCounts.set(countKey, (requestCounts.get(countKey) || 0) + 1);
+
+  const durationKey = JSON.stringify([method, route]);
+  let histogram = durations.get(durationKey);
+  if (!histogram) {
+    histogram = { method, route, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    durations.set(durationKey, histogram);
+  }
+  DURATION_BUCKETS.forEach((bound, index) => {
+    if (seconds <= bound) histogram.buckets[index] += 1;
+  });
+  histogram.sum += seconds;
+  histogram.count += 1;
+}
+
+// Middleware timing every request
+function collectMetrics(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    observe(req.method, routeOf(req), res.statusCode, Number(process.hrtime.bigint() - started) / 1e9);
+  });
+  next();
+}
+
+function renderMetrics() {
+  const lines = [
+    '# HELP http_requests_total Requests handled, by route and status.',
+    '# TYPE http_requests_total counter'
+  ];
+  for (const [key, count] of requestCounts) {
+    lines.push(`http_requests_total${key} ${count}`);
+  }
+
+  lines.push(
+    '# HELP http_request_duration_seconds Time to handle a request.',
+    '# TYPE http_request_duration_seconds histogram'
+  );
+  for (const { method, route, buckets, sum, count } of durations.values()) {
+    DURATION_BUCKETS.forEach((bound, index) => {
+      lines.push(`http_request_duration_seconds_bucket${labels({ method, route, le: bound })} ${buckets[index]}`);
+    });
+    lines.push(`http_request_duration_seconds_bucket${labels({ method, route, le: '+Inf' })} ${count}`);
+    lines.push(`http_request_duration_seconds_sum${labels({ method, route })} ${sum}`);
+    lines.push(`http_request_duration_seconds_count${labels({ method, route })} ${count}`);
+  }
+
+  const memory = process.memoryUsage();
+  lines.push(
+    '# HELP process_uptime_seconds Seconds since the process started.',
+    '# TYPE process_uptime_seconds gauge',
+    `process_uptime_seconds ${process.uptime()}`,
+    '# HELP process_resident_memory_bytes Resident memory size in bytes.',
+    '# TYPE process_resident_memory_bytes gauge',
+    `process_resident_memory_bytes ${memory.rss}`,
+    '# HELP nodejs_heap_used_bytes V8 heap in use in bytes.',
+    '# TYPE nodejs_heap_used_bytes gauge',
+    `nodejs_heap_used_bytes ${memory.heapUsed}`
+  );
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { collectMetrics, renderMetrics };
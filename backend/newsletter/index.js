@@ -0,0 +1,332 @@
+// backend/newsletter/index.js
+// Newsletter subscribers and issues. Subscribing is double opt-in: a subscriber
+// stays pending until the mailed confirmation link is used. Topics are blog
+// categories; a subscriber without topics gets everything.
+//
+// Links in issues carry a signed subscriber token instead of a login, so the
+// preference centre and one-click unsubscribe (RFC 8058) work from any mail
+// client. Queued issues are sent in batches by processNewsletterQueue(), with a
+// delivery row per recipient recording what happened.
+const crypto = require('crypto');
+const pool = require('../database/db');
+const { sendMail } = require('../mail');
+const { frontendUrl, newsletterConfirmationEmail, newsletterIssueEmail } = require('../mail/templates');
+const { logger } = require('../logging');
+
+const CONFIRM_TTL_HOURS = Number(process.env.NEWSLETTER_CONFIRM_TTL_HOURS || 48);
+const BATCH_SIZE = Number(process.env.NEWSLETTER_BATCH_SIZE || 50);
+const MAX_ATTEMPTS = 3;
+
+// Deliveries left in 'sending' this long were interrupted (e.g. by a restart) and are retried
+const STALE_SENDING_MINUTES = 10;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function signature(subscriberId) {
+  const secret = process.env.NEWSLETTER_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(`newsletter:${subscriberId}`).digest('hex');
+}
+
+// Long-lived token identifying a subscriber in preference and unsubscribe links
+function signSubscriberToken(subscriberId) {
+  return `${subscriberId}.${signature(subscriberId)}`;
+}
+
+// Returns the subscriber id, or null when the token was not signed by us
+function verifySubscriberToken(token) {
+  const match = /^(\d+)\.([0-9a-f]{64})$/.exec(String(token || ''));
+  if (!match) {
+    return null;
+  }
+  const expected = Buffer.from(signature(match[1]), 'hex');
+  const received = Buffer.from(match[2], 'hex');
+  return crypto.timingSafeEqual(expected, received) ? Number(match[1]) : null;
+}
+
+// The List-Unsubscribe target: mail clients POST to it directly (RFC 8058)
+function oneClickUnsubscribeUrl(subscriberId) {
+  const base = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const url = new URL('/api/newsletter/unsubscribe', base);
+  url.searchParams.set('token', signSubscriberToken(subscriberId));
+  return url.toString();
+}
+
+// The unsubscribe link in the message body opens a confirmation page that POSTs to
+// the same endpoint; a link that unsubscribed on GET would be triggered by mail
+// scanners and link previews
+function unsubscribePageUrl(subscriberId) {
+  return frontendUrl('/newsletter/unsubscribe', { token: signSubscriberToken(subscriberId) });
+}
+
+function preferencesUrl(subscriberId) {
+  return frontendUrl('/newsletter/preferences', { token: signSubscriberToken(subscriberId) });
+}
+
+async function setSubscriberTopics(conn, subscriberId, topics) {
+  await conn.query('DELETE FROM subscriber_topics WHERE subscriber_id = ?', [subscriberId]);
+  if (topics.length > 0) {
+    await conn.query(
+      'INSERT INTO subscriber_topics (subscriber_id, category) VALUES ?',
+      [topics.map(topic => [subscriberId, topic])]
+    );
+  }
+}
+
+async function getSubscriberTopics(subscriberId) {
+  const [rows] = await pool.query(
+    'SELECT category FROM subscriber_topics WHERE subscriber_id = ? ORDER BY category',
+    [subscriberId]
+  );
+  return rows.map(row => row.category);
+}
+
+// Start (or restart) a subscription and mail the confirmation link.
+// Active subscribers are left alone, so the response never reveals who is subscribed.
+async function requestSubscription(email, topics) {
+  const [existing] = await pool.query('SELECT id, status FROM subscribers WHERE email = ?', [email]);
+  if (existing.length > 0 && existing[0].status === 'active') {
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    let subscriberId;
+    if (existing.length > 0) {
+      subscriberId = existing[0].id;
+      await conn.query(
+        `UPDATE subscribers SET status = 'pending', confirm_token_hash = ?,
+          confirm_expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR)
+         WHERE id = ?`,
+        [hashToken(token), CONFIRM_TTL_HOURS, subscriberId]
+      );
+    } else {
+      const [result] = await conn.query(
+        `INSERT INTO subscribers (email, confirm_token_hash, confirm_expires_at)
+         VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+        [email, hashToken(token), CONFIRM_TTL_HOURS]
+      );
+      subscriberId = result.insertId;
+    }
+    await setSubscriberTopics(conn, subscriberId, topics);
+
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+
+  try {
+    await sendMail({ to: email, ...newsletterConfirmationEmail({ token, expiresInHours: CONFIRM_TTL_HOURS }) });
+  } catch (error) {
+    logger.error('Error sending newsletter confirmation email', { err: error });
+  }
+}
+
+// Activate the subscription a confirmation token belongs to. Returns the subscriber id or null.
+async function confirmSubscription(token) {
+  const tokenHash = hashToken(token);
+  const [rows] = await pool.query(
+    "SELECT id FROM subscribers WHERE confirm_token_hash = ? AND status = 'pending' AND confirm_expires_at > NOW()",
+    [tokenHash]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  // Matching on the hash again makes the token single-use under concurrent requests
+  const [result] = await pool.query(
+    `UPDATE subscribers
+     SET status = 'active', confirmed_at = NOW(), unsubscribed_at = NULL,
+       confirm_token_hash = NULL, confirm_expires_at = NULL
+     WHERE id = ? AND confirm_token_hash = ?`,
+    [rows[0].id, tokenHash]
+  );
+  return result.affectedRows > 0 ? rows[0].id : null;
+}
+
+async function unsubscribe(subscriberId) {
+  await pool.query(
+    "UPDATE subscribers SET status = 'unsubscribed', unsubscribed_at = NOW() WHERE id = ? AND status <> 'unsubscribed'",
+    [subscriberId]
+  );
+}
+
+// Queue a draft issue for every active subscriber interested in at least one of
+// its posts (issues without posts go to everyone). Returns the number of recipients,
+// or null if the issue is not a draft.
+async function queueIssue(issueId) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [issues] = await conn.query(
+      "SELECT id FROM newsletter_issues WHERE id = ? AND status = 'draft' FOR UPDATE",
+      [issueId]
+    );
+    if (issues.length === 0) {
+      await conn.rollback();
+      return null;
+    }
+
+    const [result] = await conn.query(
+      `INSERT INTO newsletter_deliveries (issue_id, subscriber_id, email)
+       SELECT ?, s.id, s.email FROM subscribers s
+       WHERE s.status = 'active' AND (
+         NOT EXISTS (SELECT 1 FROM newsletter_issue_posts p WHERE p.issue_id = ?)
+         OR NOT EXISTS (SELECT 1 FROM subscriber_topics t WHERE t.subscriber_id = s.id)
+         OR EXISTS (
+           SELECT 1 FROM subscriber_topics t
+           JOIN blogs b ON b.category = t.category
+           JOIN newsletter_issue_posts p ON p.blog_id = b.id
+           WHERE t.subscriber_id = s.id AND p.issue_id = ?
+         )
+       )`,
+      [issueId, issueId, issueId]
+    );
+    if (result.affectedRows === 0) {
+      await conn.rollback();
+      return 0;
+    }
+
+    await conn.query(
+      "UPDATE newsletter_issues SET status = 'sending', queued_at = NOW() WHERE id = ?",
+      [issueId]
+    );
+
+    await conn.commit();
+    return result.affectedRows;
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+async function loadIssue(issueId) {
+  const [[issue]] = await pool.query('SELECT * FROM newsletter_issues WHERE id = ?', [issueId]);
+  const [posts] = await pool.query(
+    `SELECT b.title, b.slug, b.description, b.category
+     FROM newsletter_issue_posts p JOIN blogs b ON b.id = p.blog_id
+     WHERE p.issue_id = ? ORDER BY p.position`,
+    [issueId]
+  );
+  return { ...issue, posts };
+}
+
+// Send one delivery. Each subscriber only sees the posts in their topics.
+async function deliver(delivery, issues) {
+  const [claim] = await pool.query(
+    "UPDATE newsletter_deliveries SET status = 'sending', attempts = attempts + 1 WHERE id = ? AND status = 'queued'",
+    [delivery.id]
+  );
+  if (claim.affectedRows === 0) {
+    return;
+  }
+
+  try {
+    if (delivery.subscriber_status !== 'active') {
+      await pool.query("UPDATE newsletter_deliveries SET status = 'skipped' WHERE id = ?", [delivery.id]);
+      return;
+    }
+
+    if (!issues.has(delivery.issue_id)) {
+      issues.set(delivery.issue_id, await loadIssue(delivery.issue_id));
+    }
+    const issue = issues.get(delivery.issue_id);
+
+    const topics = await getSubscriberTopics(delivery.subscriber_id);
+    const posts = topics.length > 0 ? issue.posts.filter(post => topics.includes(post.category)) : issue.posts;
+    if (issue.posts.length > 0 && posts.length === 0) {
+      // Topics changed since the issue was queued
+      await pool.query("UPDATE newsletter_deliveries SET status = 'skipped' WHERE id = ?", [delivery.id]);
+      return;
+    }
+
+    const { messageId } = await sendMail({
+      to: delivery.email,
+      ...newsletterIssueEmail({
+        subject: issue.subject,
+        intro: issue.intro,
+        posts,
+        preferencesLink: preferencesUrl(delivery.subscriber_id),
+        unsubscribeLink: unsubscribePageUrl(delivery.subscriber_id)
+      }),
+      headers: {
+        'List-Unsubscribe': `<${oneClickUnsubscribeUrl(delivery.subscriber_id)}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+
+    await pool.query(
+      "UPDATE newsletter_deliveries SET status = 'sent', message_id = ?, sent_at = NOW(), last_error = NULL WHERE id = ?",
+      [messageId || null, delivery.id]
+    );
+  } catch (error) {
+    // Transient failures go back in the queue until MAX_ATTEMPTS is reached
+    await pool.query(
+      'UPDATE newsletter_deliveries SET status = IF(attempts >= ?, \'failed\', \'queued\'), last_error = ? WHERE id = ?',
+      [MAX_ATTEMPTS, String(error.message).slice(0, 255), delivery.id]
+    );
+  }
+}
+
+let processing = false;
+
+// Send the next batch of queued deliveries and mark finished issues as sent
+async function processNewsletterQueue() {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
+  try {
+    await pool.query(
+      `UPDATE newsletter_deliveries SET status = 'queued'
+       WHERE status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+      [STALE_SENDING_MINUTES]
+    );
+
+    const [deliveries] = await pool.query(
+      `SELECT d.id, d.issue_id, d.subscriber_id, d.email, s.status AS subscriber_status
+       FROM newsletter_deliveries d JOIN subscribers s ON s.id = d.subscriber_id
+       WHERE d.status = 'queued' ORDER BY d.id LIMIT ?`,
+      [BATCH_SIZE]
+    );
+
+    const issues = new Map();
+    for (const delivery of deliveries) {
+      await deliver(delivery, issues);
+    }
+
+    await pool.query(
+      `UPDATE newsletter_issues i SET status = 'sent', sent_at = NOW()
+       WHERE status = 'sending' AND NOT EXISTS (
+         SELECT 1 FROM newsletter_deliveries d WHERE d.issue_id = i.id AND d.status IN ('queued', 'sending')
+       )`
+    );
+  } catch (error) {
+    logger.error('Error sending newsletter issues', { err: error });
+  } finally {
+    processing = false;
+  }
+}
+
+module.exports = {
+  signSubscriberToken,
+  verifySubscriberToken,
+  setSubscriberTopics,
+  getSubscriberTopics,
+  requestSubscription,
+  confirmSubscription,
+  unsubscribe,
+  queueIssue,
+  processNewsletterQueue
+};
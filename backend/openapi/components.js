@@ -0,0 +1,560 @@
+// backend/openapi/components.js
+// Shared response schemas, published under components.schemas in the spec.
+// Dates are serialized as ISO strings; DECIMAL columns arrive from mysql2 as strings.
+
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const string = { type: 'string' };
+const timestamp = { type: 'string', format: 'date-time' };
+const decimal = { type: 'string', pattern: '^-?\\d+(\\.\\d+)?$', description: 'Decimal amount as a string' };
+const currency = { type: 'string', pattern: '^[A-Z]{3}$', description: 'ISO 4217 currency code' };
+const isoDate = { type: 'string', format: 'date' };
+
+function nullable(schema) {
+  return { ...schema, nullable: true };
+}
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required };
+}
+
+function arrayOf(schema) {
+  return { type: 'array', items: schema };
+}
+
+// Changed fields of an audit entry; personal free text whose details were
+// deleted with the account only records that it changed
+const auditChanges = {
+  type: 'object',
+  additionalProperties: {
+    oneOf: [object({ from: {}, to: {} }), object({ changed: { type: 'boolean', enum: [true] } })]
+  }
+};
+
+// Adds the optional `formatted` display strings sent when the request has a locale
+function localized(schema) {
+  return { ...schema, properties: { ...schema.properties, formatted: ref('Formatted') } };
+}
+
+const schemas = {
+  Error: object({
+    error: { ...string, description: 'Human readable message' },
+    code: { ...string, description: 'Machine readable code, e.g. VALIDATION_ERROR or NOT_FOUND' },
+    fields: {
+      type: 'object',
+      additionalProperties: string,
+      description: 'Per-field messages (validation errors only)'
+    }
+  }, ['error', 'code']),
+
+  Message: object({ message: string }),
+
+  Formatted: {
+    type: 'object',
+    additionalProperties: string,
+    description: 'The same fields as display strings in the locale of the request ' +
+      '(the user\'s saved locale, else Accept-Language). Only sent when there is one.'
+  },
+
+  Pagination: object({ page: integer, limit: integer, total: integer, totalPages: integer }),
+
+  User: object({
+    id: integer,
+    firstName: string,
+    lastName: string,
+    email: string,
+    role: { type: 'string', enum: ['admin', 'editor', 'donor', 'caseworker'] },
+    emailVerified: { type: 'boolean' }
+  }),
+
+  Tokens: object({
+    token: { ...string, description: 'Short-lived access token (send as Authorization: Bearer)' },
+    refreshToken: { ...string, description: 'Single-use token for POST /api/token/refresh' }
+  }),
+
+  Profile: object({
+    id: integer,
+    firstName: string,
+    lastName: string,
+    email: string,
+    bio: string,
+    locale: nullable({ ...string, description: 'Preferred locale for formatted values, e.g. "de-DE"' })
+  }),
+
+  AdminUser: object({
+    id: integer,
+    first_name: string,
+    last_name: string,
+    email: string,
+    role: { type: 'string', enum: ['admin', 'editor', 'donor', 'caseworker'] },
+    created_at: timestamp,
+    locked_until: nullable({ ...timestamp, description: 'Set while the account is locked after failed logins' })
+  }),
+
+  BlogSummary: localized(object({
+    id: integer,
+    title: string,
+    slug: string,
+    description: string,
+    category: string,
+    image_url: nullable(string),
+    date: isoDate,
+    publish_at: nullable(timestamp),
+    average_rating: number,
+    review_count: integer
+  })),
+
+  Blog: localized(object({
+    id: integer,
+    title: string,
+    slug: string,
+    description: string,
+    content: nullable(string),
+    category: string,
+    image_url: nullable(string),
+    date: isoDate,
+    status: { type: 'string', enum: ['draft', 'published', 'scheduled'] },
+    publish_at: nullable(timestamp),
+    author_id: nullable(integer),
+    created_at: timestamp,
+    updated_at: timestamp
+  })),
+
+  BlogListItem: localized(object({
+    id: integer,
+    title: string,
+    slug: string,
+    category: string,
+    status: { type: 'string', enum: ['draft', 'published', 'scheduled'] },
+    publish_at: nullable(timestamp),
+    date: isoDate,
+    author_id: nullable(integer),
+    created_at: timestamp,
+    updated_at: timestamp
+  })),
+
+  BlogRevision: object({
+    id: integer,
+    blog_id: integer,
+    title: string,
+    description: string,
+    content: nullable(string),
+    category: string,
+    image_url: nullable(string),
+    edited_by: nullable(integer),
+    created_at: timestamp
+  }),
+
+  Review: localized(object({
+    id: integer,
+    blog_id: integer,
+    user_id: nullable(integer),
+    author: string,
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    comment: nullable(string),
+    created_at: timestamp,
+    updated_at: timestamp
+  })),
+
+  RatingSummary: object({ average_rating: number, review_count: integer }),
+
+  Donation: localized(object({
+    id: integer,
+    amount: decimal,
+    currency,
+    exchange_rate: { ...decimal, description: 'Units of currency per unit of the base currency when the gift was made' },
+    base_amount: { ...decimal, description: 'Value in the base currency (see GET /api/currencies)' },
+    frequency: { type: 'string', enum: ['one-time', 'monthly', 'quarterly', 'yearly'] },
+    email: string,
+    card_last_four: string,
+    cardholder_name: string,
+    country: string,
+    created_at: timestamp,
+    payment_status: { type: 'string', enum: ['pending', 'completed', 'failed', 'refunded'] },
+    payment_provider: nullable(string),
+    payment_intent_id: nullable(string),
+    subscription_id: nullable(integer),
+    campaign_id: nullable(integer)
+  })),
+
+  Receipt: localized(object({
+    id: integer,
+    receipt_number: string,
+    donation_id: integer,
+    amount: decimal,
+    currency,
+    card_last_four: string,
+    donated_at: timestamp,
+    issued_at: timestamp,
+    status: { type: 'string', enum: ['issued', 'void'] },
+    voided_at: nullable(timestamp)
+  })),
+
+  Subscription: localized(object({
+    id: integer,
+    amount: decimal,
+    currency,
+    frequency: { type: 'string', enum: ['monthly', 'quarterly', 'yearly'] },
+    status: { type: 'string', enum: ['active', 'paused', 'past_due', 'cancelled'] },
+    card_type: string,
+    card_last_four: string,
+    next_charge_at: timestamp,
+    last_charged_at: nullable(timestamp),
+    failed_attempts: integer,
+    cancelled_at: nullable(timestamp),
+    cancel_reason: nullable(string),
+    created_at: timestamp
+  })),
+
+  Campaign: localized(object({
+    id: integer,
+    title: string,
+    description: string,
+    image_url: nullable(string),
+    goal_amount: { ...number, description: 'In the base currency' },
+    start_date: timestamp,
+    end_date: nullable(timestamp),
+    status: { type: 'string', enum: ['draft', 'active', 'completed', 'cancelled'] },
+    created_by: nullable(integer),
+    created_at: timestamp,
+    updated_at: timestamp,
+    amount_raised: { ...number, description: 'Completed donations, in the base currency' },
+    currency,
+    donor_count: integer,
+    percent_of_goal: number
+  })),
+
+  Shift: object({
+    id: integer,
+    opportunity_id: integer,
+    location: nullable(string),
+    starts_at: timestamp,
+    ends_at: timestamp,
+    capacity: integer,
+    confirmed_count: integer,
+    waitlist_count: integer,
+    spots_left: integer
+  }),
+
+  Opportunity: object({
+    id: integer,
+    title: string,
+    desc: { ...string, description: 'Description of the work' },
+    time: { ...string, description: 'Time commitment' },
+    location: string,
+    status: { type: 'string', enum: ['active', 'archived'] },
+    shifts: arrayOf(ref('Shift'))
+  }),
+
+  ShiftSignup: object({
+    id: integer,
+    status: { type: 'string', enum: ['confirmed', 'waitlisted'] },
+    queued_at: timestamp,
+    user_id: integer,
+    first_name: string,
+    last_name: string,
+    email: string
+  }),
+
+  OwnShift: object({
+    status: { type: 'string', enum: ['confirmed', 'waitlisted'] },
+    queued_at: timestamp,
+    shift_id: integer,
+    starts_at: timestamp,
+    ends_at: timestamp,
+    location: string,
+    opportunity_id: integer,
+    title: string
+  }),
+
+  VolunteerApplication: object({
+    id: integer,
+    volunteer_id: integer,
+    interest_area: string,
+    availability: string,
+    experience: nullable(string),
+    status: { type: 'string', enum: ['submitted', 'under_review', 'approved', 'rejected', 'withdrawn'] },
+    reviewer_notes: nullable(string),
+    reviewed_by: nullable(integer),
+    reviewed_at: nullable(timestamp),
+    decided_at: nullable(timestamp),
+    created_at: timestamp,
+    updated_at: timestamp,
+    first_name: string,
+    last_name: string,
+    email: string,
+    phone: string
+  }),
+
+  ApplicationStatusChange: object({
+    from_status: nullable(string),
+    to_status: string,
+    notes: nullable(string),
+    changed_at: timestamp,
+    changed_by: nullable(integer),
+    changed_by_first_name: nullable(string),
+    changed_by_last_name: nullable(string)
+  }),
+
+  HourEntry: object({
+    id: integer,
+    source: { type: 'string', enum: ['check_in', 'manual'] },
+    work_date: timestamp,
+    check_in_at: nullable(timestamp),
+    check_out_at: nullable(timestamp),
+    hours: nullable(decimal),
+    description: nullable(string),
+    status: { type: 'string', enum: ['pending', 'approved', 'rejected'] },
+    shift_id: nullable(integer),
+    program: nullable(string)
+  }),
+
+  ProgramHours: object({
+    opportunity_id: nullable(integer),
+    program: string,
+    hours: number,
+    entries: integer
+  }),
+
+  Subscriber: object({
+    id: integer,
+    email: string,
+    status: { type: 'string', enum: ['pending', 'active', 'unsubscribed'] },
+    confirmed_at: nullable(timestamp),
+    unsubscribed_at: nullable(timestamp),
+    created_at: timestamp,
+    topics: { ...arrayOf(string), description: 'Blog categories; empty means every topic' }
+  }),
+
+  NewsletterIssueSummary: object({
+    id: integer,
+    subject: string,
+    intro: string,
+    status: { type: 'string', enum: ['draft', 'sending', 'sent'] },
+    created_by: nullable(integer),
+    queued_at: nullable(timestamp),
+    sent_at: nullable(timestamp),
+    created_at: timestamp,
+    updated_at: timestamp,
+    recipient_count: integer,
+    sent_count: integer,
+    failed_count: integer
+  }),
+
+  NewsletterIssue: object({
+    id: integer,
+    subject: string,
+    intro: string,
+    status: { type: 'string', enum: ['draft', 'sending', 'sent'] },
+    created_by: nullable(integer),
+    queued_at: nullable(timestamp),
+    sent_at: nullable(timestamp),
+    created_at: timestamp,
+    updated_at: timestamp,
+    posts: arrayOf(object({ id: integer, title: string, slug: string, category: string, date: isoDate })),
+    deliveries: object({ queued: integer, sending: integer, sent: integer, failed: integer, skipped: integer })
+  }),
+
+  NewsletterDelivery: object({
+    id: integer,
+    subscriber_id: integer,
+    email: string,
+    status: { type: 'string', enum: ['queued', 'sending', 'sent', 'failed', 'skipped'] },
+    attempts: integer,
+    last_error: nullable(string),
+    message_id: nullable(string),
+    sent_at: nullable(timestamp),
+    updated_at: timestamp
+  }),
+
+  CaseSummary: localized(object({
+    id: integer,
+    need_type: { type: 'string', enum: ['food', 'shelter', 'education', 'health', 'financial', 'other'] },
+    household_size: integer,
+    location: string,
+    applicant_name: string,
+    status: { type: 'string', enum: ['new', 'in_review', 'in_progress', 'on_hold', 'resolved', 'declined', 'closed'] },
+    assigned_to: nullable(integer),
+    assigned_first_name: nullable(string),
+    assigned_last_name: nullable(string),
+    follow_up_date: nullable(isoDate),
+    submitted_via: { type: 'string', enum: ['self', 'caseworker'] },
+    created_at: timestamp,
+    updated_at: timestamp,
+    closed_at: nullable(timestamp)
+  })),
+
+  Case: localized(object({
+    id: integer,
+    need_type: { type: 'string', enum: ['food', 'shelter', 'education', 'health', 'financial', 'other'] },
+    household_size: integer,
+    location: string,
+    applicant_name: string,
+    phone: nullable(string),
+    email: nullable(string),
+    address: nullable(string),
+    details: nullable(string),
+    status: { type: 'string', enum: ['new', 'in_review', 'in_progress', 'on_hold', 'resolved', 'declined', 'closed'] },
+    assigned_to: nullable(integer),
+    assigned_first_name: nullable(string),
+    assigned_last_name: nullable(string),
+    follow_up_date: nullable(isoDate),
+    submitted_via: { type: 'string', enum: ['self', 'caseworker'] },
+    submitted_by: nullable(integer),
+    created_at: timestamp,
+    updated_at: timestamp,
+    closed_at: nullable(timestamp),
+    notes: arrayOf(ref('CaseNote')),
+    history: arrayOf(ref('CaseChange'))
+  })),
+
+  CaseNote: localized(object({
+    id: integer,
+    note: string,
+    author_id: nullable(integer),
+    author_first_name: nullable(string),
+    author_last_name: nullable(string),
+    created_at: timestamp
+  })),
+
+  CaseChange: object({
+    field: { type: 'string', enum: ['status', 'assigned_to', 'follow_up_date'] },
+    from_value: nullable({ ...string, description: 'A status, user id or date, depending on field' }),
+    to_value: nullable(string),
+    changed_at: timestamp,
+    changed_by: nullable(integer),
+    changed_by_first_name: nullable(string),
+    changed_by_last_name: nullable(string)
+  }),
+
+  AuditEntry: object({
+    id: integer,
+    actor_id: nullable({ ...integer, description: 'The user who acted; null for anonymous clients and the system' }),
+    actor_role: nullable(string),
+    action: { ...string, description: 'e.g. user.login, user.bio_updated, blog.updated, donation.created' },
+    entity_type: string,
+    entity_id: nullable(string),
+    changes: nullable({
+      ...auditChanges,
+      description: 'Changed fields as { field: { from, to } }; passwords and tokens are never included, ' +
+        'and personal free text (such as a bio) is { changed: true } once its account is deleted'
+    }),
+    ip: nullable(string),
+    user_agent: nullable(string),
+    created_at: timestamp,
+    actor_first_name: nullable(string),
+    actor_last_name: nullable(string),
+    actor_email: nullable(string)
+  }),
+
+  AccountActivity: localized(object({
+    id: integer,
+    action: string,
+    entity_type: string,
+    entity_id: nullable(string),
+    changes: nullable(auditChanges),
+    ip: nullable(string),
+    user_agent: nullable(string),
+    created_at: timestamp,
+    performed_by: { type: 'string', enum: ['you', 'staff', 'anonymous'] }
+  })),
+
+  Caseworker: object({
+    id: integer,
+    first_name: string,
+    last_name: string,
+    role: { type: 'string', enum: ['caseworker', 'admin'] },
+    open_cases: integer
+  }),
+
+  DonationReportRow: object({
+    group_key: { ...nullable(string), description: 'Day, week start (YYYY-MM-DD), month (YYYY-MM), country, frequency or campaign id' },
+    label: nullable(string),
+    amount: { ...number, description: 'Completed donations, in the base currency' },
+    count: integer,
+    average: number,
+    donors: integer,
+    new_donors: { ...integer, description: 'Donors whose first completed donation is in this row' },
+    returning_donors: integer
+  }, ['amount', 'count', 'average', 'donors', 'new_donors', 'returning_donors']),
+
+  VolunteerReportRow: object({
+    group_key: { ...string, description: 'Interest area or month (YYYY-MM) the applications were made in' },
+    applications: integer,
+    open: integer,
+    approved: integer,
+    rejected: integer,
+    withdrawn: integer,
+    active: { ...integer, description: 'Approved applicants with approved volunteer hours' },
+    approval_rate: number,
+    activation_rate: { ...number, description: 'active / approved' }
+  }, ['applications', 'open', 'approved', 'rejected', 'withdrawn', 'active', 'approval_rate', 'activation_rate']),
+
+  BlogReportRow: object({
+    blog_id: integer,
+    title: string,
+    category: string,
+    posts: integer,
+    reviews: integer,
+    average_rating: nullable(number),
+    rating_1: integer,
+    rating_2: integer,
+    rating_3: integer,
+    rating_4: integer,
+    rating_5: integer
+  }, ['posts', 'reviews', 'average_rating', 'rating_1', 'rating_2', 'rating_3', 'rating_4', 'rating_5']),
+
+  // Column values as stored; each array holds whole rows of the named records
+  DataExport: object({
+    exportedAt: timestamp,
+    account: { type: 'object' },
+    sessions: arrayOf({ type: 'object' }),
+    donations: arrayOf({ type: 'object' }),
+    subscriptions: arrayOf({ type: 'object' }),
+    receipts: arrayOf({ type: 'object' }),
+    volunteering: nullable(object({
+      profile: { type: 'object' },
+      applications: arrayOf({ type: 'object' }),
+      hours: arrayOf({ type: 'object' })
+    })),
+    shiftSignups: arrayOf({ type: 'object' }),
+    reviews: arrayOf({ type: 'object' }),
+    newsletter: nullable({ type: 'object' }),
+    assistanceRequests: arrayOf({ type: 'object' }),
+    activity: arrayOf({ type: 'object' })
+  }),
+
+  DeletionStatus: localized(object({
+    scheduled: { type: 'boolean' },
+    requestedAt: nullable(timestamp),
+    scheduledAt: nullable(timestamp)
+  })),
+
+  HealthCheck: object({
+    status: { type: 'string', enum: ['ok', 'unavailable'] },
+    checks: object({
+      database: { type: 'string', enum: ['ok', 'failed'] },
+      migrations: { type: 'string', enum: ['ok', 'pending', 'failed', 'skipped'] }
+    })
+  })
+};
+
+module.exports = {
+  schemas,
+  ref,
+  object,
+  arrayOf,
+  nullable,
+  localized,
+  integer,
+  number,
+  string,
+  timestamp,
+  decimal,
+  currency,
+  isoDate
+};
@@ -0,0 +1,292 @@
+// backend/openapi/index.js
+// OpenAPI 3 description of the API, generated from the Express route table so it
+// cannot drift from the code: paths and methods come from the registered routes,
+// request schemas from their validate() middleware, auth and roles from the auth
+// middleware in front of them, rate limits from the limiters. routes.js adds
+// summaries and response shapes.
+const express = require('express');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const swaggerUi = require('swagger-ui-dist');
+const { schemas } = require('./components');
+const routeDocs = require('./routes');
+const { logger } = require('../logging');
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Access token required',
+  403: 'Invalid token or insufficient permissions',
+  404: 'Not found',
+  409: 'Conflict',
+  429: 'Too many requests (see Retry-After)',
+  500: 'Internal server error'
+};
+
+// Routes registered directly on the app, as { method, path, handlers }
+function listRoutes(app) {
+  const routes = [];
+  for (const layer of app.router.stack) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push({
+        method: method.toUpperCase(),
+        path: layer.route.path,
+        handlers: layer.route.stack.filter(entry => entry.method === method).map(entry => entry.handle)
+      });
+    }
+  }
+  return routes;
+}
+
+// Request schemas are written for Ajv; OpenAPI 3.0 has no boolean schemas or iso-date-time
+function toOpenApiSchema(schema) {
+  if (schema === false) {
+    return { not: {}, description: 'Must not be sent' };
+  }
+  if (Array.isArray(schema)) {
+    return schema.map(toOpenApiSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'format' && value === 'iso-date-time') {
+      result.format = 'date-time';
+    } else if (key === 'pattern' && value === '\\S') {
+      continue;
+    } else {
+      result[key] = toOpenApiSchema(value);
+    }
+  }
+  return result;
+}
+
+function toParameters(schema, location) {
+  if (!schema) return [];
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: toOpenApiSchema(property)
+  }));
+}
+
+function toResponse(description, response) {
+  if (!response) {
+    return { description };
+  }
+  if (response.contentType) {
+    return { description, content: { [response.contentType]: { schema: response.schema } } };
+  }
+  return { description, content: { 'application/json': { schema: response } } };
+}
+
+function describeOperation(route, doc, { authenticate, optionalAuthenticate }) {
+  const request = route.handlers.map(handler => handler.schema).find(Boolean) || {};
+  const roles = route.handlers.map(handler => handler.roles).find(Boolean);
+  const rateLimits = route.handlers.map(handler => handler.rateLimit).filter(Boolean);
+  const requiresAuth = route.handlers.includes(authenticate);
+  const requiresVerifiedEmail = route.handlers.some(handler => handler.verifiedEmail);
+
+  const operation = {
+    tags: [doc ? doc.tag : 'Undocumented'],
+    summary: doc ? doc.summary : `${route.method} ${route.path}`,
+    operationId: `${route.method.toLowerCase()}${route.path.replace(/[^a-zA-Z0-9]+(.)?/g, (match, chr) => (chr ? chr.toUpperCase() : ''))}`
+  };
+
+  const notes = [];
+  if (doc && doc.description) notes.push(doc.description);
+  if (roles) notes.push(`Requires role: ${roles.join(' or ')} (admins always pass).`);
+  if (requiresVerifiedEmail) notes.push('Requires a verified email address.');
+  for (const { limit, windowMinutes, per } of rateLimits) {
+    notes.push(`Rate limited: ${limit} requests per ${windowMinutes} minutes per ${per === 'email' ? 'email address' : 'IP address'}.`);
+  }
+  if (notes.length > 0) operation.description = notes.join('\n\n');
+
+  if (requiresAuth) {
+    operation.security = [{ bearerAuth: [] }];
+  } else if (route.handlers.includes(optionalAuthenticate)) {
+    operation.security = [{}, { bearerAuth: [] }];
+  }
+
+  const parameters = [...toParameters(request.params, 'path'), ...toParameters(request.query, 'query')];
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (request.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: toOpenApiSchema(request.body) } }
+    };
+  }
+
+  const responses = {};
+  const successes = doc ? doc.responses : { 200: null };
+  for (const [status, response] of Object.entries(successes)) {
+    responses[status] = toResponse('Success', response);
+    const alternative = doc && doc.alternatives && doc.alternatives[status];
+    if (alternative) {
+      Object.assign(responses[status].content, toResponse('', alternative).content);
+    }
+  }
+
+  const errors = { ...(doc && doc.errors) };
+  if (request.params || request.query || request.body) errors[400] = errors[400] || 'Validation failed (code VALIDATION_ERROR)';
+  if (requiresAuth) errors[401] = errors[401] || ERROR_DESCRIPTIONS[401];
+  if (requiresVerifiedEmail) errors[403] = errors[403] || `${ERROR_DESCRIPTIONS[403]}, or the email is not verified (code EMAIL_NOT_VERIFIED)`;
+  if (requiresAuth || roles) errors[403] = errors[403] || ERROR_DESCRIPTIONS[403];
+  if (rateLimits.length > 0) errors[429] = ERROR_DESCRIPTIONS[429];
+  errors[500] = ERROR_DESCRIPTIONS[500];
+  for (const [status, description] of Object.entries(errors)) {
+    responses[status] = toResponse(description, { $ref: '#/components/schemas/Error' });
+  }
+
+  operation.responses = responses;
+  return operation;
+}
+
+function buildSpec(app, auth) {
+  const paths = {};
+  for (const route of listRoutes(app)) {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = describeOperation(route, routeDocs[`${route.method} ${route.path}`], auth);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Kandoo Foundation API',
+      version: require('../package.json').version,
+      description: 'Errors always come back as `{ error, code, fields? }`; see the Error schema.'
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(Object.values(routeDocs).map(doc => doc.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas
+    }
+  };
+}
+
+// Routes without docs and docs without a route; both mean routes.js needs updating
+function findDocDrift(app) {
+  const registered = listRoutes(app).map(route => `${route.method} ${route.path}`);
+  return {
+    undocumented: registered.filter(key => !routeDocs[key]),
+    stale: Object.keys(routeDocs).filter(key => !registered.includes(key))
+  };
+}
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Kandoo Foundation API</title>
+  <link rel="stylesheet" href="/api/docs/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/api/docs/assets/swagger-ui-bundle.js"></script>
+  <script src="/api/docs/init.js"></script>
+</body>
+</html>
+`;
+
+const DOCS_INIT = `window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui' });
+`;
+
+// Serves /api/openapi.json and the browsable docs at /api/docs. Mount at /api.
+function createDocsRouter(app, auth) {
+  const router = express.Router();
+  let spec = null;
+
+  router.get('/openapi.json', (req, res) => {
+    spec = spec || buildSpec(app, auth);
+    res.json(spec);
+  });
+  router.get('/docs', (req, res) => {
+    res.type('html').send(DOCS_PAGE);
+  });
+  router.get('/docs/init.js', (req, res) => {
+    res.type('application/javascript').send(DOCS_INIT);
+  });
+  router.use('/docs/assets', express.static(swaggerUi.getAbsoluteFSPath()));
+
+  return router;
+}
+
+// Response check for tests: every JSON response of a described route is validated
+// against the spec. mode 'warn' logs mismatches; 'strict' replaces the response
+// with a 500 (code RESPONSE_SPEC_MISMATCH) so the test that caused it fails.
+function checkResponses(app, auth, mode) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+
+  let operations = null;
+  const validators = new Map();
+
+  function getValidator(operation, key, status) {
+    const cacheKey = `${key} ${status}`;
+    if (!validators.has(cacheKey)) {
+      const response = operation.responses[status];
+      const content = response && response.content && response.content['application/json'];
+      validators.set(cacheKey, content
+        ? ajv.compile({ components: { schemas }, allOf: [content.schema] })
+        : null);
+    }
+    return validators.get(cacheKey);
+  }
+
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      if (!req.route || req.baseUrl !== '') {
+        return json(body);
+      }
+
+      if (!operations) {
+        operations = new Map();
+        for (const route of listRoutes(app)) {
+          const doc = routeDocs[`${route.method} ${route.path}`];
+          operations.set(`${route.method} ${route.path}`, doc ? describeOperation(route, doc, auth) : null);
+        }
+      }
+
+      const key = `${req.method} ${req.route.path}`;
+      const operation = operations.get(key);
+      if (!operation) {
+        return json(body);
+      }
+
+      const validator = getValidator(operation, key, res.statusCode);
+      let problem = null;
+      if (!validator) {
+        problem = `status ${res.statusCode} is not described`;
+      } else if (!validator(JSON.parse(JSON.stringify(body)))) {
+        problem = ajv.errorsText(validator.errors, { dataVar: 'response' });
+      }
+
+      if (!problem) {
+        return json(body);
+      }
+
+      logger.warn('Response does not match the OpenAPI spec', { route: key, status: res.statusCode, problem });
+      if (mode !== 'strict') {
+        return json(body);
+      }
+      res.status(500);
+      return json({ error: `Response does not match the OpenAPI spec: ${problem}`, code: 'RESPONSE_SPEC_MISMATCH' });
+    };
+
+    next();
+  };
+}
+
+module.exports = { buildSpec, findDocDrift, createDocsRouter, checkResponses };
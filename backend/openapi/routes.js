@@ -0,0 +1,803 @@
+// backend/openapi/routes.js
+// What each route returns, keyed by "METHOD /express/path". Request schemas,
+// auth and roles are read from the route definitions themselves; this file adds
+// the summary, the success responses and any error statuses beyond the ones
+// every route of its kind can return (400 validation, 401/403 auth, 500).
+const { ref, object, arrayOf, nullable, localized, integer, number, string, timestamp, decimal, currency, isoDate } = require('./components');
+
+const pdf = { contentType: 'application/pdf', schema: { type: 'string', format: 'binary' } };
+const csv = { contentType: 'text/csv', schema: string };
+
+function message(properties = {}) {
+  return object({ message: string, ...properties });
+}
+
+function paginated(name, items) {
+  return object({ [name]: arrayOf(items), pagination: ref('Pagination') });
+}
+
+// An admin report: totals over the whole range, then one row per group
+function report(row, properties = {}) {
+  return object({ groupBy: string, from: nullable(isoDate), to: nullable(isoDate), ...properties, totals: row, rows: arrayOf(row) });
+}
+
+const ratedReview = object({ review: ref('Review'), average_rating: number, review_count: integer });
+
+module.exports = {
+  // Auth
+  'POST /api/signup': {
+    tag: 'Auth',
+    summary: 'Create an account and send the verification email',
+    responses: { 201: message({ userId: integer }) },
+    errors: { 409: 'Email already in use (signed up at the same moment)' }
+  },
+  'POST /api/login': {
+    tag: 'Auth',
+    summary: 'Log in and start a session',
+    responses: {
+      200: object({ message: string, user: ref('User'), token: string, refreshToken: string })
+    },
+    description: 'After repeated failures the account is locked for progressively longer and the owner is ' +
+      'emailed an unlock link.',
+    errors: {
+      401: 'Invalid email or password',
+      403: 'Email not verified (code EMAIL_NOT_VERIFIED)',
+      423: 'Account locked after failed logins (code ACCOUNT_LOCKED, see Retry-After)'
+    }
+  },
+  'POST /api/token/refresh': {
+    tag: 'Auth',
+    summary: 'Swap a refresh token for a new access/refresh token pair',
+    responses: { 200: ref('Tokens') },
+    errors: { 401: 'Invalid, expired or reused refresh token' }
+  },
+  'POST /api/logout': {
+    tag: 'Auth',
+    summary: 'End the current session (identified by access or refresh token)',
+    responses: { 200: ref('Message') }
+  },
+  'POST /api/logout-all': {
+    tag: 'Auth',
+    summary: 'End every session of the logged-in user',
+    responses: { 200: message({ sessionsRevoked: integer }) }
+  },
+  'POST /api/verify-email': {
+    tag: 'Auth',
+    summary: 'Confirm an email address with the emailed token',
+    responses: { 200: ref('Message') }
+  },
+  'POST /api/resend-verification': {
+    tag: 'Auth',
+    summary: 'Send another verification email',
+    responses: { 200: ref('Message') }
+  },
+  'POST /api/forgot-password': {
+    tag: 'Auth',
+    summary: 'Email a password reset link',
+    responses: { 200: ref('Message') }
+  },
+  'POST /api/reset-password': {
+    tag: 'Auth',
+    summary: 'Set a new password with the emailed token (ends every session and any lockout)',
+    responses: { 200: ref('Message') }
+  },
+  'POST /api/unlock-account': {
+    tag: 'Auth',
+    summary: 'Unlock an account with the token from the account locked email',
+    responses: { 200: ref('Message') },
+    errors: { 400: 'Invalid or expired unlock link' }
+  },
+
+  // Account
+  'GET /api/user/bio': {
+    tag: 'Account',
+    summary: 'Profile of the logged-in user',
+    responses: { 200: ref('Profile') },
+    errors: { 404: 'User not found' }
+  },
+  'PUT /api/user/bio': {
+    tag: 'Account',
+    summary: 'Update the bio of the logged-in user',
+    responses: { 200: ref('Message') }
+  },
+  'PUT /api/user/locale': {
+    tag: 'Account',
+    summary: 'Set the locale dates and amounts are formatted in',
+    description: 'null clears the preference, so the Accept-Language header applies again.',
+    responses: { 200: message({ locale: nullable(string) }) }
+  },
+  'PUT /api/user/password': {
+    tag: 'Account',
+    summary: 'Change password (ends every other session)',
+    responses: { 200: message({ token: string, refreshToken: string }) },
+    errors: { 404: 'User not found' }
+  },
+  'GET /api/me/activity': {
+    tag: 'Account',
+    summary: 'Recent account activity: logins, profile and password changes, and staff actions on the account',
+    responses: { 200: paginated('activity', ref('AccountActivity')) }
+  },
+  'GET /api/me/export': {
+    tag: 'Account',
+    summary: 'Download every record held about the logged-in user as JSON',
+    responses: { 200: ref('DataExport') },
+    errors: { 404: 'User not found' }
+  },
+  'GET /api/me/deletion': {
+    tag: 'Account',
+    summary: 'Whether deletion of the logged-in account is scheduled, and when',
+    responses: { 200: ref('DeletionStatus') },
+    errors: { 404: 'User not found' }
+  },
+  'POST /api/me/deletion': {
+    tag: 'Account',
+    summary: 'Schedule deletion of the logged-in account (needs the password)',
+    description: 'The account is deleted after a grace period (ACCOUNT_DELETION_GRACE_DAYS, 14 by default) and ' +
+      'can be cancelled until then. Personal data is removed; donation records are kept for accounting ' +
+      'with the donor anonymised, and recurring donations are cancelled.',
+    responses: { 200: { allOf: [ref('Message'), ref('DeletionStatus')] } },
+    errors: { 401: 'Password is incorrect', 404: 'User not found', 409: 'Account deletion is already scheduled' }
+  },
+  'DELETE /api/me/deletion': {
+    tag: 'Account',
+    summary: 'Cancel a scheduled account deletion',
+    responses: { 200: message({ scheduled: { type: 'boolean' } }) },
+    errors: { 404: 'User not found', 409: 'No account deletion is scheduled' }
+  },
+
+  // Blogs
+  'GET /api/blogs': {
+    tag: 'Blogs',
+    summary: 'Published posts: paginated, filterable and searchable (without content)',
+    responses: { 200: paginated('blogs', ref('BlogSummary')) }
+  },
+  'GET /api/admin/blogs': {
+    tag: 'Blogs',
+    summary: 'Every post regardless of status',
+    responses: { 200: arrayOf(ref('BlogListItem')) }
+  },
+  'GET /api/blogs/:id': {
+    tag: 'Blogs',
+    summary: 'A post (by id or slug) with its approved reviews',
+    description: 'Drafts and posts scheduled for later are only visible to editors.',
+    responses: {
+      200: {
+        allOf: [
+          ref('Blog'),
+          ref('RatingSummary'),
+          object({ reviews: arrayOf(ref('Review')) })
+        ]
+      }
+    },
+    errors: { 404: 'Blog not found' }
+  },
+  'POST /api/blogs': {
+    tag: 'Blogs',
+    summary: 'Create a post',
+    responses: { 201: { allOf: [ref('Blog'), object({ reviews: { type: 'array', maxItems: 0 } })] } }
+  },
+  'PUT /api/blogs/:id': {
+    tag: 'Blogs',
+    summary: 'Update a post (the previous version is kept as a revision)',
+    responses: { 200: ref('Blog') },
+    errors: { 404: 'Blog not found' }
+  },
+  'DELETE /api/blogs/:id': {
+    tag: 'Blogs',
+    summary: 'Delete a post with its revisions',
+    responses: { 200: message({ id: integer }) },
+    errors: { 404: 'Blog not found' }
+  },
+  'GET /api/blogs/:id/revisions': {
+    tag: 'Blogs',
+    summary: 'Revision history of a post, newest first',
+    responses: { 200: arrayOf(ref('BlogRevision')) },
+    errors: { 404: 'Blog not found' }
+  },
+  'POST /api/blogs/:id/revisions/:revisionId/restore': {
+    tag: 'Blogs',
+    summary: 'Restore a post to an earlier revision',
+    responses: { 200: message({ blog: ref('Blog') }) },
+    errors: { 404: 'Blog or revision not found' }
+  },
+
+  // Reviews
+  'POST /api/blogs/:id/reviews': {
+    tag: 'Reviews',
+    summary: 'Review a post (one per user; waits for moderation)',
+    responses: { 201: ratedReview },
+    errors: { 404: 'Blog not found', 409: 'Already reviewed' }
+  },
+  'PUT /api/blogs/:id/reviews/:reviewId': {
+    tag: 'Reviews',
+    summary: 'Edit your own review (back into moderation)',
+    responses: { 200: ratedReview },
+    errors: { 404: 'Blog or review not found' }
+  },
+  'DELETE /api/blogs/:id/reviews/:reviewId': {
+    tag: 'Reviews',
+    summary: 'Delete your own review',
+    responses: { 200: { allOf: [ref('Message'), ref('RatingSummary')] } },
+    errors: { 404: 'Blog or review not found' }
+  },
+  'GET /api/admin/reviews': {
+    tag: 'Reviews',
+    summary: 'Moderation queue (pending reviews by default)',
+    responses: {
+      200: paginated('reviews', {
+        allOf: [ref('Review'), object({ status: string, blog_title: string, blog_slug: string })]
+      })
+    }
+  },
+  'PUT /api/admin/reviews/:id/status': {
+    tag: 'Reviews',
+    summary: 'Approve or hide a review',
+    responses: { 200: message({ id: integer, status: string }) },
+    errors: { 404: 'Review not found' }
+  },
+  'DELETE /api/admin/reviews/:id': {
+    tag: 'Reviews',
+    summary: 'Delete any review',
+    responses: { 200: message({ id: integer }) },
+    errors: { 404: 'Review not found' }
+  },
+
+  // Donations
+  'GET /api/currencies': {
+    tag: 'Donations',
+    summary: 'Currencies donations are accepted in, with the exchange rates used for reporting',
+    responses: {
+      200: object({
+        base: currency,
+        supported: arrayOf(currency),
+        rates: {
+          type: 'object',
+          additionalProperties: number,
+          description: 'Units of each currency per unit of the base currency'
+        },
+        updatedAt: nullable(string)
+      })
+    }
+  },
+  'POST /api/donations': {
+    tag: 'Donations',
+    summary: 'Donate with a payment token from the payment provider',
+    description: 'The donation stays pending until the provider confirms it through the webhook. ' +
+      'Recurring frequencies also start a recurring donation.',
+    responses: {
+      201: message({
+        donationId: integer,
+        subscriptionId: nullable(integer),
+        paymentStatus: { type: 'string', enum: ['pending'] }
+      })
+    }
+  },
+  'POST /api/payments/webhook': {
+    tag: 'Donations',
+    summary: 'Payment provider webhook (signed with X-Payment-Signature)',
+    responses: { 200: object({ received: { type: 'boolean' } }) },
+    errors: { 400: 'Invalid signature' }
+  },
+  'POST /api/donations/:id/refund': {
+    tag: 'Donations',
+    summary: 'Refund a completed donation',
+    responses: { 202: message({ donationId: integer }) },
+    errors: { 400: 'Donation is not completed', 404: 'Donation not found' }
+  },
+  'GET /api/donations/:id': {
+    tag: 'Donations',
+    summary: 'A donation (owner or admin)',
+    responses: { 200: ref('Donation') },
+    errors: { 404: 'Donation not found' }
+  },
+  'GET /api/me/donations': {
+    tag: 'Donations',
+    summary: 'Donation history of the logged-in donor (?format=csv downloads it)',
+    description: 'Totals are in the base currency.',
+    responses: {
+      200: object({
+        donations: arrayOf(localized(object({
+          id: integer,
+          amount: decimal,
+          currency,
+          base_amount: decimal,
+          frequency: string,
+          card_last_four: string,
+          payment_status: string,
+          subscription_id: nullable(integer),
+          created_at: timestamp
+        }))),
+        totals: object({
+          currency,
+          selected: localized(object({ amount: number, count: integer })),
+          byYear: arrayOf(localized(object({ year: integer, amount: number, count: integer }))),
+          lifetime: localized(object({ amount: number, count: integer }))
+        })
+      })
+    },
+    alternatives: { 200: csv }
+  },
+
+  // Receipts
+  'GET /api/me/receipts': {
+    tag: 'Receipts',
+    summary: 'Receipts of the logged-in donor',
+    responses: { 200: arrayOf(ref('Receipt')) }
+  },
+  'GET /api/donations/:id/receipt': {
+    tag: 'Receipts',
+    summary: 'Receipt of a donation as PDF (owner or admin)',
+    responses: { 200: pdf },
+    errors: { 404: 'Receipt not found' }
+  },
+  'GET /api/me/statements/:year': {
+    tag: 'Receipts',
+    summary: 'Annual giving statement of the logged-in donor as PDF',
+    responses: { 200: pdf },
+    errors: { 404: 'User not found' }
+  },
+
+  // Recurring donations
+  'GET /api/me/subscriptions': {
+    tag: 'Recurring donations',
+    summary: 'Recurring donations of the logged-in donor',
+    responses: { 200: arrayOf(ref('Subscription')) }
+  },
+  'PUT /api/me/subscriptions/:id': {
+    tag: 'Recurring donations',
+    summary: 'Change the amount of future charges',
+    responses: { 200: message({ id: integer, amount: number, currency }) },
+    errors: { 404: 'Recurring donation not found' }
+  },
+  'POST /api/me/subscriptions/:id/pause': {
+    tag: 'Recurring donations',
+    summary: 'Pause a recurring donation',
+    responses: { 200: message({ id: integer, status: string }) },
+    errors: { 404: 'Recurring donation not found' }
+  },
+  'POST /api/me/subscriptions/:id/resume': {
+    tag: 'Recurring donations',
+    summary: 'Resume a paused recurring donation (never back-bills)',
+    responses: { 200: message({ id: integer, status: string, next_charge_at: timestamp }) },
+    errors: { 404: 'Recurring donation not found' }
+  },
+  'POST /api/me/subscriptions/:id/cancel': {
+    tag: 'Recurring donations',
+    summary: 'Cancel a recurring donation',
+    responses: { 200: message({ id: integer, status: string }) },
+    errors: { 404: 'Recurring donation not found' }
+  },
+
+  // Campaigns
+  'GET /api/campaigns': {
+    tag: 'Campaigns',
+    summary: 'Active campaigns with their progress',
+    responses: { 200: arrayOf(ref('Campaign')) }
+  },
+  'GET /api/admin/campaigns': {
+    tag: 'Campaigns',
+    summary: 'Every campaign regardless of status',
+    responses: { 200: arrayOf(ref('Campaign')) }
+  },
+  'GET /api/campaigns/:id': {
+    tag: 'Campaigns',
+    summary: 'A campaign with its progress (drafts only for admins)',
+    responses: { 200: ref('Campaign') },
+    errors: { 404: 'Campaign not found' }
+  },
+  'POST /api/campaigns': {
+    tag: 'Campaigns',
+    summary: 'Create a campaign',
+    responses: { 201: ref('Campaign') }
+  },
+  'PUT /api/campaigns/:id': {
+    tag: 'Campaigns',
+    summary: 'Update a campaign',
+    responses: { 200: ref('Campaign') },
+    errors: { 404: 'Campaign not found' }
+  },
+  'DELETE /api/campaigns/:id': {
+    tag: 'Campaigns',
+    summary: 'Delete a campaign that has no donations',
+    responses: { 200: message({ id: integer }) },
+    errors: { 404: 'Campaign not found', 409: 'Campaign has donations' }
+  },
+
+  // Volunteer opportunities and shifts
+  'GET /api/opportunities': {
+    tag: 'Volunteering',
+    summary: 'Active opportunities with their upcoming shifts',
+    responses: { 200: arrayOf(ref('Opportunity')) }
+  },
+  'GET /api/opportunities/:id': {
+    tag: 'Volunteering',
+    summary: 'An opportunity with its upcoming shifts',
+    responses: { 200: ref('Opportunity') },
+    errors: { 404: 'Opportunity not found' }
+  },
+  'POST /api/opportunities': {
+    tag: 'Volunteering',
+    summary: 'Create an opportunity',
+    responses: { 201: ref('Opportunity') }
+  },
+  'PUT /api/opportunities/:id': {
+    tag: 'Volunteering',
+    summary: 'Update or archive an opportunity',
+    responses: { 200: ref('Opportunity') },
+    errors: { 404: 'Opportunity not found' }
+  },
+  'DELETE /api/opportunities/:id': {
+    tag: 'Volunteering',
+    summary: 'Delete an opportunity with its shifts and sign-ups',
+    responses: { 200: message({ id: integer }) },
+    errors: { 404: 'Opportunity not found' }
+  },
+  'POST /api/opportunities/:id/shifts': {
+    tag: 'Volunteering',
+    summary: 'Add a shift to an opportunity',
+    responses: { 201: ref('Shift') },
+    errors: { 404: 'Opportunity not found' }
+  },
+  'PUT /api/shifts/:id': {
+    tag: 'Volunteering',
+    summary: 'Update a shift (extra capacity is filled from the waitlist)',
+    responses: { 200: ref('Shift') },
+    errors: { 404: 'Shift not found' }
+  },
+  'DELETE /api/shifts/:id': {
+    tag: 'Volunteering',
+    summary: 'Delete a shift',
+    responses: { 200: message({ id: integer }) },
+    errors: { 404: 'Shift not found' }
+  },
+  'GET /api/shifts/:id/signups': {
+    tag: 'Volunteering',
+    summary: 'Roster of a shift',
+    responses: { 200: arrayOf(ref('ShiftSignup')) }
+  },
+  'POST /api/shifts/:id/signup': {
+    tag: 'Volunteering',
+    summary: 'Sign up for a shift (waitlisted when it is full)',
+    responses: {
+      201: message({ shiftId: integer, status: { type: 'string', enum: ['confirmed', 'waitlisted'] } })
+    },
+    errors: { 404: 'Shift not found', 409: 'Already signed up' }
+  },
+  'DELETE /api/shifts/:id/signup': {
+    tag: 'Volunteering',
+    summary: 'Withdraw from a shift',
+    responses: { 200: message({ shiftId: integer, status: string }) },
+    errors: { 404: 'Not signed up for this shift' }
+  },
+  'GET /api/me/shifts': {
+    tag: 'Volunteering',
+    summary: 'Shifts the logged-in volunteer signed up for',
+    responses: { 200: arrayOf(ref('OwnShift')) }
+  },
+
+  // Volunteer applications
+  'POST /api/volunteers': {
+    tag: 'Volunteer applications',
+    summary: 'Apply to volunteer',
+    description: 'Note the field names: `interest` here is stored (and returned by the admin endpoints) as `interest_area`.',
+    responses: { 201: message({ id: integer, volunteerId: integer }) },
+    errors: { 409: 'An application is already being reviewed' }
+  },
+  'GET /api/admin/volunteer-applications': {
+    tag: 'Volunteer applications',
+    summary: 'Applications, filterable by status, interest area and name/email',
+    responses: {
+      200: paginated('applications', {
+        allOf: [ref('VolunteerApplication'), object({ application_count: integer })]
+      })
+    }
+  },
+  'GET /api/admin/volunteer-applications/:id': {
+    tag: 'Volunteer applications',
+    summary: 'An application with its status history and earlier applications',
+    responses: {
+      200: {
+        allOf: [
+          ref('VolunteerApplication'),
+          object({
+            history: arrayOf(ref('ApplicationStatusChange')),
+            previousApplications: arrayOf(object({
+              id: integer,
+              interest_area: string,
+              status: string,
+              created_at: timestamp,
+              decided_at: nullable(timestamp)
+            }))
+          })
+        ]
+      }
+    },
+    errors: { 404: 'Application not found' }
+  },
+  'PUT /api/admin/volunteer-applications/:id/status': {
+    tag: 'Volunteer applications',
+    summary: 'Move an application to a new status (decisions are emailed)',
+    responses: { 200: message({ id: integer, status: string }) },
+    errors: { 404: 'Application not found', 409: 'Status change not allowed' }
+  },
+
+  // Volunteer hours
+  'POST /api/shifts/:id/check-in': {
+    tag: 'Volunteer hours',
+    summary: 'Check in to a confirmed shift',
+    responses: { 201: message({ id: integer, shiftId: integer }) },
+    errors: { 404: 'Not confirmed for this shift', 409: 'Already checked in' }
+  },
+  'POST /api/shifts/:id/check-out': {
+    tag: 'Volunteer hours',
+    summary: 'Check out of a shift',
+    description: 'Hours are counted up to the end of the shift at most. A check-out more than an hour after the ' +
+      'shift ended leaves the entry pending until a coordinator approves it.',
+    responses: { 200: message({ id: integer, hours: number, status: { type: 'string', enum: ['approved', 'pending'] } }) },
+    errors: { 404: 'Not checked in' }
+  },
+  'POST /api/me/volunteer-hours': {
+    tag: 'Volunteer hours',
+    summary: 'Log hours by hand (pending approval)',
+    responses: { 201: message({ id: integer, status: string }) }
+  },
+  'GET /api/me/volunteer-hours': {
+    tag: 'Volunteer hours',
+    summary: 'Hours logged by the logged-in volunteer with approved totals per program',
+    responses: {
+      200: object({ entries: arrayOf(ref('HourEntry')), totalHours: number, programs: arrayOf(ref('ProgramHours')) })
+    }
+  },
+  'GET /api/me/volunteer-hours/certificate': {
+    tag: 'Volunteer hours',
+    summary: 'Certificate of approved service hours as PDF',
+    responses: { 200: pdf },
+    errors: { 404: 'No approved hours in this period' }
+  },
+  'GET /api/admin/volunteer-hours': {
+    tag: 'Volunteer hours',
+    summary: 'Hour entries (pending approval by default)',
+    responses: {
+      200: paginated('entries', {
+        allOf: [ref('HourEntry'), object({ volunteer_id: integer, first_name: string, last_name: string, email: string })]
+      })
+    }
+  },
+  'GET /api/admin/volunteer-hours/summary': {
+    tag: 'Volunteer hours',
+    summary: 'Approved hour totals per volunteer or per program',
+    responses: {
+      200: object({
+        groupBy: { type: 'string', enum: ['volunteer', 'program'] },
+        totalHours: number,
+        rows: arrayOf(object({ hours: number, entries: integer }))
+      })
+    }
+  },
+  'PUT /api/admin/volunteer-hours/:id/status': {
+    tag: 'Volunteer hours',
+    summary: 'Approve or reject a manual hour entry',
+    responses: { 200: message({ id: integer, status: string }) },
+    errors: { 404: 'Pending hour entry not found' }
+  },
+
+  // Newsletter
+  'GET /api/newsletter/topics': {
+    tag: 'Newsletter',
+    summary: 'Topics subscribers can pick (categories of published posts)',
+    responses: { 200: arrayOf(string) }
+  },
+  'POST /api/newsletter/subscribe': {
+    tag: 'Newsletter',
+    summary: 'Subscribe; a confirmation link is emailed (double opt-in)',
+    description: 'The answer is the same whether or not the address is already subscribed. ' +
+      'An empty topic list means every topic.',
+    responses: { 202: ref('Message') }
+  },
+  'POST /api/newsletter/confirm': {
+    tag: 'Newsletter',
+    summary: 'Confirm a subscription from the emailed link',
+    description: 'The returned token opens the preference centre.',
+    responses: { 200: message({ token: string }) },
+    errors: { 400: 'Invalid or expired confirmation link' }
+  },
+  'GET /api/newsletter/preferences': {
+    tag: 'Newsletter',
+    summary: 'Preference centre: subscription behind a signed link token',
+    responses: {
+      200: object({
+        email: string,
+        status: { type: 'string', enum: ['pending', 'active', 'unsubscribed'] },
+        topics: arrayOf(string),
+        availableTopics: arrayOf(string)
+      })
+    },
+    errors: { 404: 'Subscription not found' }
+  },
+  'PUT /api/newsletter/preferences': {
+    tag: 'Newsletter',
+    summary: 'Change the topics of a subscription (empty means every topic)',
+    responses: { 200: message({ topics: arrayOf(string) }) },
+    errors: { 400: 'Unknown topics, or the address is unsubscribed', 404: 'Subscription not found' }
+  },
+  'POST /api/newsletter/unsubscribe': {
+    tag: 'Newsletter',
+    summary: 'One-click unsubscribe (the List-Unsubscribe target of every issue)',
+    description: 'The unsubscribe link in the body of an issue opens the /newsletter/unsubscribe page of the ' +
+      'site, which confirms with this request; there is no GET, so following a link never unsubscribes.',
+    responses: { 200: ref('Message') },
+    errors: { 404: 'Subscription not found' }
+  },
+  'GET /api/admin/newsletter/subscribers': {
+    tag: 'Newsletter',
+    summary: 'Subscribers, filterable by status and topic',
+    responses: { 200: paginated('subscribers', ref('Subscriber')) }
+  },
+  'GET /api/admin/newsletter/issues': {
+    tag: 'Newsletter',
+    summary: 'Newsletter issues with delivery totals',
+    responses: { 200: arrayOf(ref('NewsletterIssueSummary')) }
+  },
+  'POST /api/admin/newsletter/issues': {
+    tag: 'Newsletter',
+    summary: 'Compose a draft issue from chosen posts (blogIds) or the latest ones (recentDays)',
+    responses: { 201: ref('NewsletterIssue') },
+    errors: { 400: 'Posts not found, or both blogIds and recentDays sent' }
+  },
+  'GET /api/admin/newsletter/issues/:id': {
+    tag: 'Newsletter',
+    summary: 'An issue with its posts and delivery counts',
+    responses: { 200: ref('NewsletterIssue') },
+    errors: { 404: 'Issue not found' }
+  },
+  'PUT /api/admin/newsletter/issues/:id': {
+    tag: 'Newsletter',
+    summary: 'Edit a draft issue',
+    responses: { 200: ref('NewsletterIssue') },
+    errors: { 404: 'Issue not found', 409: 'Issue is not a draft' }
+  },
+  'DELETE /api/admin/newsletter/issues/:id': {
+    tag: 'Newsletter',
+    summary: 'Delete a draft issue',
+    responses: { 200: message({ id: integer }) },
+    errors: { 404: 'Issue not found', 409: 'Issue is not a draft' }
+  },
+  'POST /api/admin/newsletter/issues/:id/send': {
+    tag: 'Newsletter',
+    summary: 'Queue a draft issue for every interested subscriber',
+    description: 'Subscribers with topics get the issue when at least one post is in their topics, ' +
+      'and only see those posts. Deliveries are sent in batches in the background.',
+    responses: { 202: message({ id: integer, recipients: integer }) },
+    errors: { 400: 'No interested subscribers', 404: 'Issue not found', 409: 'Issue has already been sent' }
+  },
+  'GET /api/admin/newsletter/issues/:id/deliveries': {
+    tag: 'Newsletter',
+    summary: 'Per-recipient delivery status of an issue',
+    responses: { 200: paginated('deliveries', ref('NewsletterDelivery')) }
+  },
+
+  // Assistance cases
+  'POST /api/assistance-requests': {
+    tag: 'Assistance cases',
+    summary: 'Ask for assistance (or submit a request on someone\'s behalf as a caseworker)',
+    description: 'A phone number or email address is required. Contact details and `details` are ' +
+      'encrypted at rest; `location` (town or district) is not, so it can be used for filtering and reporting.',
+    responses: { 201: message({ id: integer }) }
+  },
+  'GET /api/caseworkers': {
+    tag: 'Assistance cases',
+    summary: 'Caseworkers and admins cases can be assigned to, with open case counts',
+    responses: { 200: arrayOf(ref('Caseworker')) }
+  },
+  'GET /api/cases': {
+    tag: 'Assistance cases',
+    summary: 'Cases, filterable by status, need, assignee, location and due follow-ups',
+    description: '`assignedTo` is a user id, `me` or `none`. With `followUpBefore` the oldest follow-ups come first.',
+    responses: { 200: paginated('cases', ref('CaseSummary')) }
+  },
+  'GET /api/cases/:id': {
+    tag: 'Assistance cases',
+    summary: 'A case with contact details, notes and history',
+    responses: { 200: ref('Case') },
+    errors: { 404: 'Case not found' }
+  },
+  'PUT /api/cases/:id/status': {
+    tag: 'Assistance cases',
+    summary: 'Move a case to a new status, optionally with a note',
+    responses: { 200: message({ id: integer, status: string }) },
+    errors: { 404: 'Case not found', 409: 'Status change not allowed' }
+  },
+  'PUT /api/cases/:id': {
+    tag: 'Assistance cases',
+    summary: 'Assign a case (null unassigns) and set or clear its follow-up date',
+    responses: {
+      200: message({ id: integer, assigned_to: nullable(integer), follow_up_date: nullable(isoDate) })
+    },
+    errors: { 400: 'Assignee is not a caseworker', 404: 'Case not found', 409: 'Case is closed' }
+  },
+  'POST /api/cases/:id/notes': {
+    tag: 'Assistance cases',
+    summary: 'Add a note to a case',
+    responses: { 201: message({ id: integer, caseId: integer }) },
+    errors: { 404: 'Case not found' }
+  },
+
+  // Admin
+  'GET /api/admin/users': {
+    tag: 'Admin',
+    summary: 'Users with their roles',
+    responses: { 200: arrayOf(ref('AdminUser')) }
+  },
+  'PUT /api/admin/users/:id/role': {
+    tag: 'Admin',
+    summary: 'Grant a role to a user',
+    responses: { 200: message({ userId: integer, role: string }) },
+    errors: { 404: 'User not found' }
+  },
+  'DELETE /api/admin/users/:id/role': {
+    tag: 'Admin',
+    summary: "Revoke a user's elevated role (back to donor)",
+    responses: { 200: message({ userId: integer, role: string }) },
+    errors: { 404: 'User not found' }
+  },
+  'POST /api/admin/users/:id/unlock': {
+    tag: 'Admin',
+    summary: 'Unlock an account locked after failed logins',
+    responses: { 200: message({ userId: integer }) },
+    errors: { 404: 'User not found' }
+  },
+  'GET /api/admin/audit-log': {
+    tag: 'Admin',
+    summary: 'Audit log of security-sensitive and administrative actions, newest first',
+    description: 'An `action` ending in a dot matches a whole family, e.g. `blog.`. Dates are inclusive.',
+    responses: { 200: paginated('entries', ref('AuditEntry')) }
+  },
+
+  'GET /api/admin/reports/donations': {
+    tag: 'Reports',
+    summary: 'Completed donation totals, counts, average gift and new vs returning donors by period, country, frequency or campaign',
+    description: 'Amounts are in the base currency. Dates are inclusive. `?format=csv` downloads the rows.',
+    responses: { 200: report(ref('DonationReportRow'), { currency }) },
+    alternatives: { 200: csv }
+  },
+  'GET /api/admin/reports/volunteers': {
+    tag: 'Reports',
+    summary: 'Volunteer applications by interest area or month, with approval and activation rates',
+    description: 'Counts applications made in the date range (inclusive). `?format=csv` downloads the rows.',
+    responses: { 200: report(ref('VolunteerReportRow')) },
+    alternatives: { 200: csv }
+  },
+  'GET /api/admin/reports/blogs': {
+    tag: 'Reports',
+    summary: 'Approved review counts, average rating and rating distribution per post or category',
+    description: 'Counts reviews written in the date range (inclusive); drafts are left out. `?format=csv` downloads the rows.',
+    responses: { 200: report(ref('BlogReportRow')) },
+    alternatives: { 200: csv }
+  },
+
+  // Health
+  'GET /api/health': {
+    tag: 'Health',
+    summary: 'Health check (same as /api/health/ready)',
+    responses: { 200: ref('HealthCheck') },
+    errors: { 503: 'The database is unreachable or migrations are not applied; the body also has `status` and `checks`' }
+  },
+  'GET /api/health/ready': {
+    tag: 'Health',
+    summary: 'Readiness: the database answers and every migration is applied',
+    responses: { 200: ref('HealthCheck') },
+    errors: { 503: 'The database is unreachable or migrations are not applied; the body also has `status` and `checks`' }
+  },
+  'GET /api/health/live': {
+    tag: 'Health',
+    summary: 'Liveness: the process is serving requests',
+    responses: { 200: object({ status: string }) }
+  },
+  'GET /metrics': {
+    tag: 'Health',
+    summary: 'Request counts, latency histograms and process metrics in the Prometheus text format',
+    description: 'When METRICS_TOKEN is set, send it as a bearer token.',
+    responses: { 200: { contentType: 'text/plain', schema: string } },
+    errors: { 401: 'Missing or wrong metrics token' }
+  }
+};
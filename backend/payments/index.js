@@ -0,0 +1,56 @@
+// backend/payments/index.js
+// Payment provider selection. A provider module exports:
+//   name
+//   createPaymentIntent({ amount, currency, paymentToken | paymentMethodId, savePaymentMethod, metadata })
+//     -> { id, status, paymentMethodId, card }
+//   confirmPaymentIntent(intentId) -> { id, status }
+//   refund(intentId) -> { id, status }
+// Final payment results are delivered to /api/payments/webhook as signed events
+// (see ./signature.js), which handleWebhook() verifies and parses.
+const { verifySignature } = require('./signature');
+
+const providers = {
+  mock: () => require('./mockProvider')
+};
+
+let provider = null;
+
+function getPaymentProvider() {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || 'mock';
+    if (!providers[name]) {
+      throw new Error(`Unknown payment provider "${name}"`);
+    }
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET must be set to take payments');
+    }
+    provider = providers[name]();
+  }
+  return provider;
+}
+
+// Map provider event types to Donations.payment_status values
+const EVENT_STATUSES = {
+  'payment_intent.succeeded': 'completed',
+  'payment_intent.payment_failed': 'failed',
+  'charge.refunded': 'refunded'
+};
+
+// Verify and parse a webhook request. Returns null when the signature is bad.
+function handleWebhook(rawBody, signatureHeader) {
+  const payload = rawBody ? rawBody.toString('utf8') : '';
+
+  if (!verifySignature(process.env.PAYMENT_WEBHOOK_SECRET, payload, signatureHeader)) {
+    return null;
+  }
+
+  const event = JSON.parse(payload);
+  return {
+    id: event.id,
+    type: event.type,
+    status: EVENT_STATUSES[event.type] || null,
+    data: event.data || {}
+  };
+}
+
+module.exports = { getPaymentProvider, handleWebhook };
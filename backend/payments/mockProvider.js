@@ -0,0 +1,142 @@
+// backend/payments/mockProvider.js
+// Local payment provider for development and tests. It never sees card numbers:
+// clients pass one of the test tokens below, and payment results arrive later
+// through a signed webhook, like they would from a real provider.
+const crypto = require('crypto');
+const { signPayload } = require('./signature');
+const { logger } = require('../logging');
+
+const TEST_TOKENS = {
+  tok_visa: { brand: 'visa', lastFour: '4242', expiryMonth: 12, expiryYear: 2030 },
+  tok_mastercard: { brand: 'mastercard', lastFour: '4444', expiryMonth: 12, expiryYear: 2030 },
+  tok_amex: { brand: 'amex', lastFour: '8431', expiryMonth: 12, expiryYear: 2030 },
+  tok_declined: { brand: 'visa', lastFour: '0002', expiryMonth: 12, expiryYear: 2030, decline: true }
+};
+
+const WEBHOOK_DELAY_MS = Number(process.env.MOCK_PAYMENT_WEBHOOK_DELAY_MS || 500);
+
+// Payment intents only live in memory; restarting the server forgets them
+const intents = new Map();
+
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function webhookUrl() {
+  return process.env.PAYMENT_WEBHOOK_URL ||
+    `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`;
+}
+
+// Send a signed event to our own webhook endpoint, as a real provider would
+function sendWebhook(type, intent) {
+  const payload = JSON.stringify({
+    id: generateId('evt'),
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      paymentIntentId: intent.id,
+      amount: intent.amount,
+      currency: intent.currency,
+      status: intent.status,
+      failureReason: intent.failureReason || null
+    }
+  });
+
+  setTimeout(async () => {
+    try {
+      await fetch(webhookUrl(), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Payment-Signature': signPayload(process.env.PAYMENT_WEBHOOK_SECRET, payload)
+        },
+        body: payload
+      });
+    } catch (error) {
+      logger.error('Mock payment webhook delivery failed', { err: error });
+    }
+  }, WEBHOOK_DELAY_MS);
+}
+
+// Saved payment methods embed the test token they were created from, so
+// they keep working for recurring charges after a restart
+function savePaymentMethod(paymentToken) {
+  return `pm_mock_${paymentToken}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function tokenFromPaymentMethod(paymentMethodId) {
+  const match = /^pm_mock_(tok_[a-z]+)_[0-9a-f]+$/.exec(paymentMethodId || '');
+  return match ? match[1] : null;
+}
+
+// Charge either a one-time token or a saved payment method (off-session).
+// With savePaymentMethod the result includes a paymentMethodId for later charges.
+async function createPaymentIntent({ amount, currency = 'usd', paymentToken, paymentMethodId, savePaymentMethod: save = false, metadata = {} }) {
+  const tokenName = paymentMethodId ? tokenFromPaymentMethod(paymentMethodId) : paymentToken;
+  const card = TEST_TOKENS[tokenName];
+  if (!card) {
+    const error = new Error('Invalid payment token');
+    error.code = 'INVALID_PAYMENT_TOKEN';
+    throw error;
+  }
+
+  const intent = {
+    id: generateId('pi_mock'),
+    amount,
+    currency,
+    status: 'pending',
+    metadata,
+    card
+  };
+  intents.set(intent.id, intent);
+
+  return {
+    id: intent.id,
+    status: intent.status,
+    paymentMethodId: paymentMethodId || (save ? savePaymentMethod(tokenName) : null),
+    card: {
+      brand: card.brand,
+      lastFour: card.lastFour,
+      expiryMonth: card.expiryMonth,
+      expiryYear: card.expiryYear
+    }
+  };
+}
+
+async function confirmPaymentIntent(intentId) {
+  const intent = intents.get(intentId);
+  if (!intent) {
+    throw new Error(`Unknown payment intent ${intentId}`);
+  }
+
+  if (intent.card.decline) {
+    intent.status = 'failed';
+    intent.failureReason = 'card_declined';
+    sendWebhook('payment_intent.payment_failed', intent);
+  } else {
+    intent.status = 'completed';
+    sendWebhook('payment_intent.succeeded', intent);
+  }
+
+  // The result is only reported through the webhook
+  return { id: intent.id, status: 'pending' };
+}
+
+async function refund(intentId) {
+  const intent = intents.get(intentId);
+  if (!intent || intent.status !== 'completed') {
+    throw new Error(`Payment intent ${intentId} cannot be refunded`);
+  }
+
+  intent.status = 'refunded';
+  sendWebhook('charge.refunded', intent);
+
+  return { id: intent.id, status: 'pending' };
+}
+
+module.exports = {
+  name: 'mock',
+  createPaymentIntent,
+  confirmPaymentIntent,
+  refund
+};
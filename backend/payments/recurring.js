@@ -0,0 +1,197 @@
+// backend/payments/recurring.js
+// Recurring donations. A subscription is created from the first recurring
+// donation; the scheduler then charges its saved payment method every period.
+// Each charge is its own Donations row linked by subscription_id, and results
+// come back through the payment webhook like any other donation.
+const pool = require('../database/db');
+const { getPaymentProvider } = require('./index');
+const { toBaseCurrency } = require('../currency');
+const { logger } = require('../logging');
+
+const RECURRING_FREQUENCIES = ['monthly', 'quarterly', 'yearly'];
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// Days to wait before each retry of a failed charge; after the last one the subscription is cancelled
+const RETRY_DELAYS_DAYS = [1, 3, 7];
+
+// Charges claimed this long ago were interrupted (a restart mid-charge, or a
+// webhook that never arrived) and the subscription is billed again
+const STALE_CHARGE_HOURS = 24;
+
+// Add one billing period, landing on `anchorDay` of the month (the day the
+// subscription started) or the end of shorter months. Pass the subscription's
+// billing_anchor_day: a period that was clamped (Jan 31 -> Feb 28) must not move
+// the following ones (Mar 31, not Mar 28).
+function addBillingPeriod(date, frequency, anchorDay = new Date(date).getDate()) {
+  const result = new Date(date);
+  result.setDate(1);
+  result.setMonth(result.getMonth() + FREQUENCY_MONTHS[frequency]);
+  const daysInMonth = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(anchorDay, daysInMonth));
+  return result;
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// Called inside the donation transaction; the first charge is already in flight
+async function createSubscription(conn, { email, amount, currency, frequency, paymentProvider, paymentMethodId, cardType, cardLastFour, cardholderName, country }) {
+  const now = new Date();
+  const [result] = await conn.query(
+    `INSERT INTO subscriptions
+      (email, amount, currency, frequency, payment_provider, payment_method_id, card_type, card_last_four,
+       cardholder_name, country, billing_anchor_day, period_start, next_charge_at, charge_in_progress, charge_claimed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)`,
+    [email, amount, currency, frequency, paymentProvider, paymentMethodId, cardType, cardLastFour,
+      cardholderName, country, now.getDate(), now, addBillingPeriod(now, frequency), now]
+  );
+  return result.insertId;
+}
+
+// Create and confirm the next charge for one subscription
+async function chargeSubscription(subscription) {
+  // Claim the subscription so overlapping runs never double charge
+  const [claim] = await pool.query(
+    `UPDATE subscriptions SET charge_in_progress = 1, charge_claimed_at = NOW()
+     WHERE id = ? AND (charge_in_progress = 0 OR charge_claimed_at < DATE_SUB(NOW(), INTERVAL ? HOUR))`,
+    [subscription.id, STALE_CHARGE_HOURS]
+  );
+  if (claim.affectedRows === 0) {
+    return;
+  }
+  if (subscription.charge_in_progress) {
+    console.warn(`Retrying subscription ${subscription.id}, its last charge was claimed at ${subscription.charge_claimed_at} and never finished`);
+  }
+
+  try {
+    // Each charge is valued in the base currency at that day's rate
+    const { rate, baseAmount } = toBaseCurrency(subscription.amount, subscription.currency);
+
+    const provider = getPaymentProvider();
+    const intent = await provider.createPaymentIntent({
+      amount: Number(subscription.amount),
+      currency: subscription.currency.toLowerCase(),
+      paymentMethodId: subscription.payment_method_id,
+      metadata: { email: subscription.email, subscriptionId: subscription.id }
+    });
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [donationResult] = await conn.query(
+        `INSERT INTO Donations (amount, currency, exchange_rate, base_amount, frequency, email, card_last_four,
+          cardholder_name, country, payment_status, payment_provider, payment_intent_id, subscription_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)`,
+        [subscription.amount, subscription.currency, rate, baseAmount, subscription.frequency, subscription.email,
+          subscription.card_last_four, subscription.cardholder_name, subscription.country, provider.name, intent.id,
+          subscription.id]
+      );
+      await conn.query(
+        'INSERT INTO PaymentMethods (donation_id, card_type, expiry_month, expiry_year) VALUES (?, ?, ?, ?)',
+        [donationResult.insertId, subscription.card_type, intent.card.expiryMonth, intent.card.expiryYear]
+      );
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+
+    await provider.confirmPaymentIntent(intent.id);
+  } catch (error) {
+    // Nothing was charged; release the claim so the next run tries again
+    logger.error('Error charging subscription', { subscriptionId: subscription.id, err: error });
+    await pool.query('UPDATE subscriptions SET charge_in_progress = 0 WHERE id = ?', [subscription.id]);
+  }
+}
+
+// Charge every active or past-due subscription whose next charge is due
+async function processDueSubscriptions() {
+  try {
+    const [due] = await pool.query(
+      `SELECT * FROM subscriptions
+       WHERE status IN ('active', 'past_due') AND next_charge_at <= NOW()
+         AND (charge_in_progress = 0 OR charge_claimed_at < DATE_SUB(NOW(), INTERVAL ? HOUR))
+       ORDER BY next_charge_at`,
+      [STALE_CHARGE_HOURS]
+    );
+    for (const subscription of due) {
+      await chargeSubscription(subscription);
+    }
+  } catch (error) {
+    logger.error('Error processing recurring donations', { err: error });
+  }
+}
+
+// Apply a completed/failed payment webhook to the subscription the charge belongs to
+// (pass the webhook's transaction connection so the event is recorded with its effects)
+async function applySubscriptionPaymentResult(paymentIntentId, status, conn = pool) {
+  if (status !== 'completed' && status !== 'failed') {
+    return;
+  }
+
+  const [rows] = await conn.query(
+    `SELECT s.* FROM subscriptions s
+     JOIN Donations d ON d.subscription_id = s.id
+     WHERE d.payment_intent_id = ?
+     FOR UPDATE`,
+    [paymentIntentId]
+  );
+  if (rows.length === 0) {
+    return;
+  }
+
+  const subscription = rows[0];
+  const now = new Date();
+
+  if (status === 'completed') {
+    const nextCharge = addBillingPeriod(subscription.period_start, subscription.frequency, subscription.billing_anchor_day);
+    await conn.query(
+      `UPDATE subscriptions
+       SET charge_in_progress = 0, failed_attempts = 0, last_charged_at = ?,
+         status = IF(status = 'past_due', 'active', status),
+         period_start = ?, next_charge_at = ?
+       WHERE id = ?`,
+      [now, nextCharge, nextCharge, subscription.id]
+    );
+    return;
+  }
+
+  const failedAttempts = subscription.failed_attempts + 1;
+
+  if (subscription.status !== 'active' && subscription.status !== 'past_due') {
+    // Paused or cancelled while the charge was in flight: just record the failure
+    await conn.query(
+      'UPDATE subscriptions SET charge_in_progress = 0, failed_attempts = ? WHERE id = ?',
+      [failedAttempts, subscription.id]
+    );
+  } else if (!subscription.last_charged_at || failedAttempts > RETRY_DELAYS_DAYS.length) {
+    // The first payment failed, or we ran out of retries
+    await conn.query(
+      `UPDATE subscriptions
+       SET charge_in_progress = 0, failed_attempts = ?, status = 'cancelled',
+         cancelled_at = ?, cancel_reason = 'payment_failed'
+       WHERE id = ?`,
+      [failedAttempts, now, subscription.id]
+    );
+  } else {
+    await conn.query(
+      `UPDATE subscriptions
+       SET charge_in_progress = 0, failed_attempts = ?, status = 'past_due', next_charge_at = ?
+       WHERE id = ?`,
+      [failedAttempts, addDays(now, RETRY_DELAYS_DAYS[failedAttempts - 1]), subscription.id]
+    );
+  }
+}
+
+module.exports = {
+  RECURRING_FREQUENCIES,
+  addBillingPeriod,
+  createSubscription,
+  processDueSubscriptions,
+  applySubscriptionPaymentResult
+};
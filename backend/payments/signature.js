@@ -0,0 +1,43 @@
+// backend/payments/signature.js
+const crypto = require('crypto');
+
+// Webhook signatures use the header format `t=<unix seconds>,v1=<hex hmac>`,
+// where the HMAC-SHA256 covers `${t}.${rawBody}`.
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+function computeSignature(secret, timestamp, payload) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+function signPayload(secret, payload, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, payload)}`;
+}
+
+// Returns true only for a well-formed, fresh and matching signature
+function verifySignature(secret, payload, header, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  if (!secret || !header) {
+    return false;
+  }
+
+  const parts = {};
+  for (const item of String(header).split(',')) {
+    const [key, value] = item.split('=');
+    parts[key && key.trim()] = value && value.trim();
+  }
+
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    return false;
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, payload), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = { signPayload, verifySignature };
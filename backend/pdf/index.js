@@ -0,0 +1,128 @@
+// backend/pdf/index.js
+// PDF rendering for donation receipts, annual giving statements and volunteer
+// service certificates.
+const PDFDocument = require('pdfkit');
+const { BASE_CURRENCY } = require('../currency');
+const { DEFAULT_LOCALE, formatDate, formatAmount } = require('../locale');
+
+// Organisation details printed on every document
+const ORGANIZATION = {
+  name: process.env.ORG_NAME || 'Kandoo Foundation',
+  address: process.env.ORG_ADDRESS || '',
+  taxId: process.env.ORG_TAX_ID || '',
+  email: process.env.ORG_EMAIL || ''
+};
+
+function writeHeader(doc, title) {
+  doc.fontSize(18).text(ORGANIZATION.name);
+  doc.fontSize(10);
+  if (ORGANIZATION.address) doc.text(ORGANIZATION.address);
+  if (ORGANIZATION.taxId) doc.text(`Registered charity / tax ID: ${ORGANIZATION.taxId}`);
+  if (ORGANIZATION.email) doc.text(ORGANIZATION.email);
+  doc.moveDown(2);
+  doc.fontSize(16).text(title);
+  doc.moveDown();
+  doc.fontSize(11);
+}
+
+function writeFooter(doc) {
+  doc.moveDown(2);
+  doc.fontSize(9).text(
+    'No goods or services were provided in exchange for this contribution. ' +
+    'Please keep this document for your tax records.'
+  );
+}
+
+// Stream a single donation receipt to `stream` (usually the response)
+function renderReceipt(receipt, stream, { locale = DEFAULT_LOCALE } = {}) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  doc.pipe(stream);
+
+  writeHeader(doc, 'Official Donation Receipt');
+
+  if (receipt.status === 'void') {
+    doc.fillColor('red').text('VOID - this donation was refunded').fillColor('black').moveDown();
+  }
+
+  doc.text(`Receipt number: ${receipt.receipt_number}`);
+  doc.text(`Date issued: ${formatDate(receipt.issued_at, locale)}`);
+  doc.moveDown();
+  doc.text(`Donor: ${receipt.donor_name}`);
+  doc.text(`Email: ${receipt.email}`);
+  doc.moveDown();
+  doc.text(`Donation date: ${formatDate(receipt.donated_at, locale)}`);
+  doc.text(`Amount: ${formatAmount(receipt.amount, receipt.currency, locale)}`);
+  doc.text(`Paid by card ending in ${receipt.card_last_four}`);
+
+  writeFooter(doc);
+  doc.end();
+}
+
+// Stream a consolidated statement of all receipted gifts in one calendar year
+// Gifts in different currencies are totalled separately.
+function renderAnnualStatement({ year, donorName, email, receipts, locale = DEFAULT_LOCALE }, stream) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  doc.pipe(stream);
+
+  writeHeader(doc, `Annual Giving Statement ${year}`);
+
+  doc.text(`Donor: ${donorName}`);
+  doc.text(`Email: ${email}`);
+  doc.text(`Statement date: ${formatDate(new Date(), locale)}`);
+  doc.moveDown();
+
+  if (receipts.length === 0) {
+    doc.text(`No donations were received in ${year}.`);
+  }
+
+  for (const receipt of receipts) {
+    doc.text(
+      `${formatDate(receipt.donated_at, locale)}    ${receipt.receipt_number}    card ending ${receipt.card_last_four}    ${formatAmount(receipt.amount, receipt.currency, locale)}`
+    );
+  }
+
+  const totals = new Map();
+  for (const receipt of receipts) {
+    totals.set(receipt.currency, (totals.get(receipt.currency) || 0) + Number(receipt.amount));
+  }
+  const totalText = [...totals].map(([currency, total]) => formatAmount(total, currency, locale)).join(', ');
+  doc.moveDown();
+  doc.fontSize(12).text(`Total tax-deductible giving in ${year}: ${totalText || formatAmount(0, BASE_CURRENCY, locale)}`);
+
+  writeFooter(doc);
+  doc.end();
+}
+
+// Stream a certificate of approved volunteer service hours for a date range
+function renderServiceCertificate({ volunteerName, from, to, totalHours, programs, locale = DEFAULT_LOCALE }, stream) {
+  const doc = new PDFDocument({ size: 'LETTER', layout: 'landscape', margin: 60 });
+  doc.pipe(stream);
+
+  doc.fontSize(14).text(ORGANIZATION.name, { align: 'center' });
+  doc.moveDown(2);
+  doc.fontSize(28).text('Certificate of Volunteer Service', { align: 'center' });
+  doc.moveDown(1.5);
+  doc.fontSize(14).text('This certifies that', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(22).text(volunteerName, { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(14).text(
+    `completed ${Number(totalHours).toFixed(2)} hours of volunteer service between ${formatDate(from, locale)} and ${formatDate(to, locale)}.`,
+    { align: 'center' }
+  );
+
+  if (programs.length > 0) {
+    doc.moveDown();
+    doc.fontSize(11);
+    for (const program of programs) {
+      doc.text(`${program.program}: ${Number(program.hours).toFixed(2)} hours`, { align: 'center' });
+    }
+  }
+
+  doc.moveDown(2);
+  doc.fontSize(10).text(`Issued ${formatDate(new Date(), locale)}`, { align: 'center' });
+
+  doc.end();
+}
+
+module.exports = { renderReceipt, renderAnnualStatement, renderServiceCertificate };
@@ -0,0 +1,281 @@
+// backend/privacy/index.js
+// What we hold about an account, and deleting it. A user's records are linked
+// by user id (bio, sessions, shift signups, reviews, assistance requests) or by
+// email (donations, recurring donations, receipts, volunteer profile, newsletter).
+// Signing up does not prove the address is the user's, so records linked only by
+// email belong to the account once its email is verified, and not before.
+//
+// Deletion is requested with the password and happens ACCOUNT_DELETION_GRACE_DAYS
+// later (processAccountDeletions), so it can be cancelled in the meantime. It
+// removes the account and everything hanging off it, except:
+//   - donations, recurring donations and receipts are kept for accounting, with
+//     the email and cardholder name replaced; recurring donations are cancelled
+//   - reviews are kept under the name "Anonymous"
+//   - assistance cases are the foundation's casework records and stay with it
+//   - the audit log is append-only, so entries keep the old user id; their IP
+//     addresses, user agents and free-text diffs are deleted
+const pool = require('../database/db');
+const { recordAudit, withPersonalChanges, deleteAuditPersonalData } = require('../audit');
+const { decrypt } = require('../encryption');
+const { logger } = require('../logging');
+
+const GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 14);
+
+const ANONYMIZED_NAME = 'Deleted user';
+
+// Stands in for the email on kept donation records; still groups one donor's gifts together
+function anonymizedEmail(userId) {
+  return `deleted-user-${userId}@anonymized.invalid`;
+}
+
+// Rows linked to `user` only by their email address: none until it is verified
+async function queryByEmail(user, sql) {
+  if (!user.email_verified_at) {
+    return [];
+  }
+  const [rows] = await pool.query(sql, [user.email]);
+  return rows;
+}
+
+// The user's volunteer profile: linked by user id, or by a verified email
+async function findVolunteer(user) {
+  const [[volunteer]] = await pool.query(
+    `SELECT id, first_name, last_name, email, phone, interest_area, availability, experience, created_at
+     FROM volunteers WHERE user_id = ? OR (email = ? AND ?) ORDER BY user_id IS NULL LIMIT 1`,
+    [user.id, user.email, Boolean(user.email_verified_at)]
+  );
+  return volunteer;
+}
+
+// Every record held about a user, as plain JSON
+async function exportUserData(userId) {
+  const [[account]] = await pool.query(
+    `SELECT id, first_name, last_name, email, role, locale, email_verified_at, created_at,
+       deletion_requested_at, deletion_scheduled_at
+     FROM users WHERE id = ?`,
+    [userId]
+  );
+  if (!account) {
+    return null;
+  }
+  const [[bio]] = await pool.query('SELECT bio FROM bios WHERE user_id = ?', [userId]);
+  const [sessions] = await pool.query(
+    `SELECT ip_address, user_agent, created_at, last_used_at, expires_at, revoked_at
+     FROM sessions WHERE user_id = ? ORDER BY created_at DESC`,
+    [userId]
+  );
+  const donations = await queryByEmail(account,
+    `SELECT id, amount, currency, base_amount, frequency, card_last_four, cardholder_name, country,
+       payment_status, campaign_id, subscription_id, created_at
+     FROM Donations WHERE email = ? ORDER BY created_at DESC`
+  );
+  const subscriptions = await queryByEmail(account,
+    `SELECT id, amount, currency, frequency, status, card_type, card_last_four, cardholder_name, country,
+       next_charge_at, last_charged_at, cancelled_at, cancel_reason, created_at
+     FROM subscriptions WHERE email = ? ORDER BY created_at DESC`
+  );
+  const receipts = await queryByEmail(account,
+    `SELECT receipt_number, donation_id, donor_name, amount, currency, donated_at, issued_at, status
+     FROM receipts WHERE email = ? ORDER BY donated_at DESC`
+  );
+
+  const volunteer = await findVolunteer(account);
+  let volunteering = null;
+  if (volunteer) {
+    const [applications] = await pool.query(
+      `SELECT id, interest_area, availability, experience, status, decided_at, created_at
+       FROM volunteer_applications WHERE volunteer_id = ? ORDER BY created_at DESC`,
+      [volunteer.id]
+    );
+    const [hours] = await pool.query(
+      `SELECT id, shift_id, opportunity_id, source, work_date, check_in_at, check_out_at, hours, description, status, created_at
+       FROM volunteer_hours WHERE volunteer_id = ? ORDER BY work_date DESC`,
+      [volunteer.id]
+    );
+    volunteering = { profile: volunteer, applications, hours };
+  }
+  const [shiftSignups] = await pool.query(
+    `SELECT s.shift_id, o.title AS opportunity, sh.starts_at, sh.ends_at, s.status, s.created_at
+     FROM shift_signups s
+     JOIN opportunity_shifts sh ON sh.id = s.shift_id
+     JOIN opportunities o ON o.id = sh.opportunity_id
+     WHERE s.user_id = ? ORDER BY sh.starts_at DESC`,
+    [userId]
+  );
+
+  const [reviews] = await pool.query(
+    `SELECT r.id, r.blog_id, b.title AS blog_title, r.author, r.rating, r.comment, r.status, r.created_at
+     FROM blog_reviews r JOIN blogs b ON b.id = r.blog_id
+     WHERE r.user_id = ? ORDER BY r.created_at DESC`,
+    [userId]
+  );
+
+  const [subscriber] = await queryByEmail(account,
+    'SELECT id, email, status, confirmed_at, unsubscribed_at, created_at FROM subscribers WHERE email = ?'
+  );
+  let newsletter = null;
+  if (subscriber) {
+    const [topics] = await pool.query('SELECT category FROM subscriber_topics WHERE subscriber_id = ?', [subscriber.id]);
+    const { id, ...details } = subscriber;
+    newsletter = { ...details, topics: topics.map(topic => topic.category) };
+  }
+
+  // Requests the user made for themselves (the sensitive fields are stored encrypted)
+  const [cases] = await pool.query(
+    `SELECT id, need_type, household_size, location, applicant_name, phone, email, address, details, status, created_at
+     FROM assistance_cases WHERE submitted_by = ? AND submitted_via = 'self' ORDER BY created_at DESC`,
+    [userId]
+  );
+  const assistanceRequests = cases.map(row => ({
+    ...row,
+    applicant_name: decrypt(row.applicant_name),
+    phone: decrypt(row.phone),
+    email: decrypt(row.email),
+    address: decrypt(row.address),
+    details: decrypt(row.details)
+  }));
+
+  const [activity] = await pool.query(
+    `SELECT a.action, a.entity_type, a.entity_id, a.changes, p.changes AS personal_changes,
+       p.ip, p.user_agent, a.created_at
+     FROM audit_log a LEFT JOIN audit_log_personal p ON p.audit_id = a.id
+     WHERE a.actor_id = ? ORDER BY a.id DESC`,
+    [userId]
+  );
+
+  return {
+    exportedAt: new Date().toISOString(),
+    account: { ...account, bio: bio ? bio.bio : null },
+    sessions,
+    donations,
+    subscriptions,
+    receipts,
+    volunteering,
+    shiftSignups,
+    reviews,
+    newsletter,
+    assistanceRequests,
+    activity: activity.map(withPersonalChanges)
+  };
+}
+
+// Schedule the deletion. Returns { deletion_requested_at, deletion_scheduled_at }.
+async function requestAccountDeletion(userId) {
+  await pool.query(
+    `UPDATE users SET deletion_requested_at = NOW(), deletion_scheduled_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+     WHERE id = ?`,
+    [GRACE_DAYS, userId]
+  );
+  const [[user]] = await pool.query('SELECT deletion_requested_at, deletion_scheduled_at FROM users WHERE id = ?', [userId]);
+  return user;
+}
+
+async function cancelAccountDeletion(userId) {
+  await pool.query(
+    'UPDATE users SET deletion_requested_at = NULL, deletion_scheduled_at = NULL WHERE id = ?',
+    [userId]
+  );
+}
+
+// Delete an account whose grace period is over. Returns false when there is
+// nothing to delete (the request was cancelled or the account is already gone).
+async function deleteAccount(userId) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[user]] = await conn.query(
+      'SELECT id, email, email_verified_at, role FROM users WHERE id = ? AND deletion_scheduled_at <= NOW() FOR UPDATE',
+      [userId]
+    );
+    if (!user) {
+      await conn.rollback();
+      return false;
+    }
+
+    // Records linked only by email are the account's only if the email was verified
+    if (user.email_verified_at) {
+      const placeholder = anonymizedEmail(user.id);
+
+      await conn.query(
+        `UPDATE subscriptions SET
+           cancel_reason = IF(status = 'cancelled', cancel_reason, 'account_deleted'),
+           cancelled_at = IF(status = 'cancelled', cancelled_at, NOW()),
+           status = 'cancelled',
+           email = ?, cardholder_name = ?, payment_method_id = ''
+         WHERE email = ?`,
+        [placeholder, ANONYMIZED_NAME, user.email]
+      );
+      await conn.query(
+        `UPDATE PaymentMethods pm JOIN Donations d ON d.id = pm.donation_id
+         SET pm.expiry_month = NULL, pm.expiry_year = NULL
+         WHERE d.email = ?`,
+        [user.email]
+      );
+      await conn.query(
+        'UPDATE Donations SET email = ?, cardholder_name = ? WHERE email = ?',
+        [placeholder, ANONYMIZED_NAME, user.email]
+      );
+      await conn.query(
+        'UPDATE receipts SET email = ?, donor_name = ? WHERE email = ?',
+        [placeholder, ANONYMIZED_NAME, user.email]
+      );
+      await conn.query('DELETE FROM subscribers WHERE email = ?', [user.email]);
+    }
+
+    // Applications, their history and logged hours go with the volunteer profile
+    await conn.query(
+      'DELETE FROM volunteers WHERE user_id = ? OR (email = ? AND ?)',
+      [user.id, user.email, Boolean(user.email_verified_at)]
+    );
+    await conn.query("UPDATE blog_reviews SET author = 'Anonymous' WHERE user_id = ?", [user.id]);
+
+    // Bio, sessions, tokens and shift signups cascade; staff references are set to NULL
+    await conn.query('DELETE FROM users WHERE id = ?', [user.id]);
+    await deleteAuditPersonalData(user.id, conn);
+
+    await recordAudit(null, {
+      action: 'user.deleted',
+      entityType: 'user',
+      entityId: user.id,
+      before: { role: user.role },
+      actorId: null
+    }, conn);
+
+    await conn.commit();
+    return true;
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+// Delete the accounts whose grace period is over
+async function processAccountDeletions() {
+  try {
+    const [due] = await pool.query(
+      'SELECT id FROM users WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= NOW()'
+    );
+    for (const { id } of due) {
+      try {
+        if (await deleteAccount(id)) {
+          logger.info('Deleted account', { userId: id });
+        }
+      } catch (error) {
+        logger.error('Error deleting account', { userId: id, err: error });
+      }
+    }
+  } catch (error) {
+    logger.error('Error processing account deletions', { err: error });
+  }
+}
+
+module.exports = {
+  GRACE_DAYS,
+  exportUserData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  processAccountDeletions
+};
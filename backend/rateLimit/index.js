@@ -0,0 +1,72 @@
+// backend/rateLimit/index.js
+// Request throttling with express-rate-limit. Each limiter counts requests per
+// key (the client IP, or the email an auth request is about) in a store picked
+// by RATE_LIMIT_STORE:
+//   memory  per process, the default; fine for development and a single instance
+//   mysql   shared by every instance through the rate_limit_hits table
+// A store module exports createStore(name) returning an express-rate-limit Store.
+// Behind a reverse proxy, set TRUST_PROXY so the client IP is read correctly.
+const { rateLimit } = require('express-rate-limit');
+
+const stores = {
+  memory: () => require('./memoryStore'),
+  mysql: () => require('./mysqlStore')
+};
+
+function createStore(name) {
+  const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+  if (!stores[storeName]) {
+    throw new Error(`Unknown rate limit store "${storeName}"`);
+  }
+  return stores[storeName]().createStore(name);
+}
+
+// The email an auth request is about, lowercased, or null
+function requestEmail(req) {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' && email.trim() !== '' ? email.trim().toLowerCase() : null;
+}
+
+function createLimiter(name, { windowMinutes, limit, per = 'ip', ...options }) {
+  const middleware = rateLimit({
+    windowMs: windowMinutes * 60 * 1000,
+    limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    store: createStore(name),
+    // A broken shared store should not take logins and donations down with it
+    passOnStoreError: true,
+    ...(per === 'email' && { keyGenerator: requestEmail, skip: req => !requestEmail(req) }),
+    handler: (req, res) => {
+      res.status(429).json({ error: 'Too many requests, please try again later' });
+    },
+    ...options
+  });
+  // Listed in the OpenAPI spec
+  middleware.rateLimit = { limit, windowMinutes, per };
+  return middleware;
+}
+
+// Per IP, one budget shared by the login, signup, password and verification routes
+const authLimiter = createLimiter('auth', { windowMinutes: 15, limit: 20 });
+
+// Per account: failed logins, and emails we are asked to send
+const loginAccountLimiter = createLimiter('login-account', {
+  windowMinutes: 15,
+  limit: 10,
+  per: 'email',
+  skipSuccessfulRequests: true
+});
+const accountEmailLimiter = createLimiter('account-email', { windowMinutes: 60, limit: 5, per: 'email' });
+
+// Public submissions
+const donationLimiter = createLimiter('donation', { windowMinutes: 10, limit: 5 });
+const volunteerLimiter = createLimiter('volunteer', { windowMinutes: 60, limit: 5 });
+
+module.exports = {
+  authLimiter,
+  loginAccountLimiter,
+  accountEmailLimiter,
+  donationLimiter,
+  volunteerLimiter
+};
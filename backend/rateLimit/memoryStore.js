@@ -0,0 +1,10 @@
+// backend/rateLimit/memoryStore.js
+// Counters in process memory (express-rate-limit's own store). Each instance
+// keeps its own counts, so use the mysql store when running more than one.
+const { MemoryStore } = require('express-rate-limit');
+
+function createStore() {
+  return new MemoryStore();
+}
+
+module.exports = { name: 'memory', createStore };
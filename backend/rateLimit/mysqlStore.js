@@ -0,0 +1,70 @@
+// backend/rateLimit/mysqlStore.js
+// Counters in the rate_limit_hits table, shared by every instance using the
+// same database. Windows are fixed: the first hit sets reset_at and the count
+// starts over once it has passed. Expired rows are purged once per window.
+const pool = require('../database/db');
+const { logger } = require('../logging');
+
+class MysqlStore {
+  constructor(name) {
+    this.prefix = `${name}:`;
+    // Counts are shared with other processes
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    const timer = setInterval(() => {
+      pool.query('DELETE FROM rate_limit_hits WHERE `key` LIKE ? AND reset_at < NOW(3)', [`${this.prefix}%`])
+        .catch(error => logger.error('Error purging rate limit counters', { err: error }));
+    }, this.windowMs);
+    timer.unref();
+  }
+
+  async get(key) {
+    const [rows] = await pool.query(
+      'SELECT hits, TIMESTAMPDIFF(MICROSECOND, NOW(3), reset_at) AS remaining_us FROM rate_limit_hits WHERE `key` = ? AND reset_at > NOW(3)',
+      [this.prefix + key]
+    );
+    return rows.length > 0 ? this.toClientRateLimitInfo(rows[0]) : undefined;
+  }
+
+  async increment(key) {
+    // reset_at is read before it is assigned, so both columns see the old window
+    await pool.query(
+      `INSERT INTO rate_limit_hits (\`key\`, hits, reset_at)
+       VALUES (?, 1, DATE_ADD(NOW(3), INTERVAL ? MICROSECOND))
+       ON DUPLICATE KEY UPDATE
+         hits = IF(reset_at <= NOW(3), 1, hits + 1),
+         reset_at = IF(reset_at <= NOW(3), VALUES(reset_at), reset_at)`,
+      [this.prefix + key, this.windowMs * 1000]
+    );
+    const [[row]] = await pool.query(
+      'SELECT hits, TIMESTAMPDIFF(MICROSECOND, NOW(3), reset_at) AS remaining_us FROM rate_limit_hits WHERE `key` = ?',
+      [this.prefix + key]
+    );
+    return this.toClientRateLimitInfo(row);
+  }
+
+  async decrement(key) {
+    await pool.query('UPDATE rate_limit_hits SET hits = GREATEST(hits - 1, 0) WHERE `key` = ?', [this.prefix + key]);
+  }
+
+  async resetKey(key) {
+    await pool.query('DELETE FROM rate_limit_hits WHERE `key` = ?', [this.prefix + key]);
+  }
+
+  // Reset time from the database clock, so app and database clocks need not agree
+  toClientRateLimitInfo(row) {
+    return {
+      totalHits: row.hits,
+      resetTime: new Date(Date.now() + Math.max(0, Number(row.remaining_us)) / 1000)
+    };
+  }
+}
+
+function createStore(name) {
+  return new MysqlStore(name);
+}
+
+module.exports = { name: 'mysql', createStore };
@@ -0,0 +1,77 @@
+// backend/receipts/index.js
+// Tax receipts for completed donations. Receipt numbers come from a per-year
+// counter, so they are sequential without gaps, and a receipt row is never
+// deleted: refunds only mark it void, so a number is never handed out twice.
+const pool = require('../database/db');
+
+const RECEIPT_PREFIX = process.env.RECEIPT_PREFIX || 'KF';
+
+function formatReceiptNumber(year, sequence) {
+  return `${RECEIPT_PREFIX}-${year}-${String(sequence).padStart(6, '0')}`;
+}
+
+// Issue the receipt for a completed donation (safe to call more than once).
+// Pass a connection to issue it inside that connection's transaction.
+async function issueReceipt(donationId, conn = null) {
+  if (conn) {
+    return insertReceipt(conn, donationId);
+  }
+
+  const own = await pool.getConnection();
+  try {
+    await own.beginTransaction();
+    const receiptNumber = await insertReceipt(own, donationId);
+    await own.commit();
+    return receiptNumber;
+  } catch (error) {
+    await own.rollback();
+    throw error;
+  } finally {
+    own.release();
+  }
+}
+
+async function insertReceipt(conn, donationId) {
+  const [donations] = await conn.query(
+    "SELECT * FROM Donations WHERE id = ? AND payment_status = 'completed' FOR UPDATE",
+    [donationId]
+  );
+  const [existing] = await conn.query('SELECT id FROM receipts WHERE donation_id = ?', [donationId]);
+  if (donations.length === 0 || existing.length > 0) {
+    return null;
+  }
+
+  const donation = donations[0];
+  const year = new Date(donation.created_at).getFullYear();
+
+  // Lock the year's counter row so concurrent receipts get consecutive numbers
+  await conn.query(
+    'INSERT IGNORE INTO receipt_sequences (year, last_number) VALUES (?, 0)',
+    [year]
+  );
+  const [[sequence]] = await conn.query(
+    'SELECT last_number FROM receipt_sequences WHERE year = ? FOR UPDATE',
+    [year]
+  );
+  const number = sequence.last_number + 1;
+  await conn.query('UPDATE receipt_sequences SET last_number = ? WHERE year = ?', [number, year]);
+
+  const receiptNumber = formatReceiptNumber(year, number);
+  await conn.query(
+    `INSERT INTO receipts (receipt_number, donation_id, email, donor_name, amount, currency, card_last_four, donated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [receiptNumber, donation.id, donation.email, donation.cardholder_name, donation.amount,
+      donation.currency, donation.card_last_four, donation.created_at]
+  );
+  return receiptNumber;
+}
+
+// A refunded gift keeps its receipt number, but the receipt is no longer valid
+async function voidReceipt(donationId, conn = pool) {
+  await conn.query(
+    "UPDATE receipts SET status = 'void', voided_at = NOW() WHERE donation_id = ? AND status = 'issued'",
+    [donationId]
+  );
+}
+
+module.exports = { issueReceipt, voidReceipt };
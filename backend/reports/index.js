@@ -0,0 +1,208 @@
+// backend/reports/index.js
+// Admin reports over donations, volunteer applications and blog ratings. Each
+// report takes an optional inclusive date range and a grouping, and returns
+// { columns, rows, totals }: `columns` lists the row fields in CSV order and
+// `totals` covers the whole range (distinct donors cannot be summed from rows).
+//
+// Donations only count completed payments, in the base currency. A donor is
+// "new" in a row when their first completed donation ever is in that row, and
+// "returning" otherwise.
+const pool = require('../database/db');
+
+// created_at range conditions for `alias`, with their parameters
+function dateRange(alias, { from, to }) {
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push(`${alias}.created_at >= ?`);
+    params.push(from);
+  }
+  if (to) {
+    conditions.push(`${alias}.created_at < DATE_ADD(?, INTERVAL 1 DAY)`);
+    params.push(to);
+  }
+  return { conditions, params };
+}
+
+function round(value, places = 2) {
+  return Number(Number(value).toFixed(places));
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? round(part / whole, 4) : 0;
+}
+
+// Donations
+
+const DONATION_GROUPS = {
+  day: { key: "DATE_FORMAT(d.created_at, '%Y-%m-%d')" },
+  // Weeks start on Monday and are keyed by that date
+  week: { key: "DATE_FORMAT(DATE_SUB(DATE(d.created_at), INTERVAL WEEKDAY(d.created_at) DAY), '%Y-%m-%d')" },
+  month: { key: "DATE_FORMAT(d.created_at, '%Y-%m')" },
+  country: { key: 'd.country', orderBy: 'amount DESC' },
+  frequency: { key: 'd.frequency', orderBy: 'amount DESC' },
+  campaign: { key: 'd.campaign_id', label: "COALESCE(c.title, 'No campaign')", orderBy: 'amount DESC' }
+};
+
+const DONATION_COLUMNS = ['group_key', 'label', 'amount', 'count', 'average', 'donors', 'new_donors', 'returning_donors'];
+
+function formatDonationRow(row) {
+  const amount = round(row.amount || 0);
+  return {
+    amount,
+    count: row.count,
+    average: row.count > 0 ? round(amount / row.count) : 0,
+    donors: row.donors,
+    new_donors: Number(row.new_donors),
+    returning_donors: row.donors - Number(row.new_donors)
+  };
+}
+
+async function donationReport({ groupBy, from, to }) {
+  const group = DONATION_GROUPS[groupBy];
+  const range = dateRange('d', { from, to });
+  const where = ["d.payment_status = 'completed'", ...range.conditions].join(' AND ');
+  const source = `
+    FROM Donations d
+    JOIN (
+      SELECT email, MIN(id) AS first_id FROM Donations WHERE payment_status = 'completed' GROUP BY email
+    ) f ON f.email = d.email
+    LEFT JOIN campaigns c ON c.id = d.campaign_id
+    WHERE ${where}`;
+  const aggregates = `
+    SUM(d.base_amount) AS amount, COUNT(*) AS count, COUNT(DISTINCT d.email) AS donors,
+    COUNT(DISTINCT CASE WHEN d.id = f.first_id THEN d.email END) AS new_donors`;
+
+  const [rows] = await pool.query(
+    `SELECT ${group.key} AS group_key, ${group.label || group.key} AS label, ${aggregates}
+     ${source}
+     GROUP BY group_key, label
+     ORDER BY ${group.orderBy || 'group_key'}`,
+    range.params
+  );
+  const [[totals]] = await pool.query(`SELECT ${aggregates} ${source}`, range.params);
+
+  return {
+    columns: DONATION_COLUMNS,
+    rows: rows.map(row => ({
+      group_key: row.group_key === null ? null : String(row.group_key),
+      label: row.label === null ? null : String(row.label),
+      ...formatDonationRow(row)
+    })),
+    totals: formatDonationRow(totals)
+  };
+}
+
+// Volunteer applications
+
+const VOLUNTEER_GROUPS = {
+  interest_area: { key: 'a.interest_area', orderBy: 'applications DESC' },
+  month: { key: "DATE_FORMAT(a.created_at, '%Y-%m')" }
+};
+
+const VOLUNTEER_COLUMNS = [
+  'group_key', 'applications', 'open', 'approved', 'rejected', 'withdrawn', 'active', 'approval_rate', 'activation_rate'
+];
+
+// Approved applicants count as active once they have approved volunteer hours
+function formatVolunteerRow(row) {
+  const counts = {};
+  for (const field of ['applications', 'open', 'approved', 'rejected', 'withdrawn', 'active']) {
+    counts[field] = Number(row[field] || 0);
+  }
+  return {
+    ...counts,
+    approval_rate: ratio(counts.approved, counts.applications),
+    activation_rate: ratio(counts.active, counts.approved)
+  };
+}
+
+async function volunteerReport({ groupBy, from, to }) {
+  const group = VOLUNTEER_GROUPS[groupBy];
+  const range = dateRange('a', { from, to });
+  const where = range.conditions.length > 0 ? `WHERE ${range.conditions.join(' AND ')}` : '';
+  const aggregates = `
+    COUNT(*) AS applications,
+    SUM(a.status IN ('submitted', 'under_review')) AS open,
+    SUM(a.status = 'approved') AS approved,
+    SUM(a.status = 'rejected') AS rejected,
+    SUM(a.status = 'withdrawn') AS withdrawn,
+    SUM(a.status = 'approved' AND EXISTS (
+      SELECT 1 FROM volunteer_hours h WHERE h.volunteer_id = a.volunteer_id AND h.status = 'approved'
+    )) AS active`;
+
+  const [rows] = await pool.query(
+    `SELECT ${group.key} AS group_key, ${aggregates}
+     FROM volunteer_applications a ${where}
+     GROUP BY group_key
+     ORDER BY ${group.orderBy || 'group_key'}`,
+    range.params
+  );
+  const [[totals]] = await pool.query(`SELECT ${aggregates} FROM volunteer_applications a ${where}`, range.params);
+
+  return {
+    columns: VOLUNTEER_COLUMNS,
+    rows: rows.map(row => ({ group_key: String(row.group_key), ...formatVolunteerRow(row) })),
+    totals: formatVolunteerRow(totals)
+  };
+}
+
+// Blog ratings (approved reviews written in the range; drafts are left out)
+
+const BLOG_GROUPS = {
+  post: {
+    columns: 'b.id AS blog_id, b.title, b.category',
+    groupBy: 'b.id',
+    csv: ['blog_id', 'title', 'category']
+  },
+  category: {
+    columns: 'b.category',
+    groupBy: 'b.category',
+    csv: ['category']
+  }
+};
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+function formatBlogRow(row) {
+  const result = { posts: Number(row.posts), reviews: Number(row.reviews) };
+  result.average_rating = row.average_rating === null ? null : round(row.average_rating);
+  for (const rating of RATINGS) {
+    result[`rating_${rating}`] = Number(row[`rating_${rating}`] || 0);
+  }
+  return result;
+}
+
+async function blogReport({ groupBy, from, to }) {
+  const group = BLOG_GROUPS[groupBy];
+  const range = dateRange('r', { from, to });
+  const join = `
+    FROM blogs b
+    LEFT JOIN blog_reviews r ON r.blog_id = b.id AND r.status = 'approved'
+      ${range.conditions.map(condition => `AND ${condition}`).join(' ')}
+    WHERE b.status <> 'draft'`;
+  const aggregates = `
+    COUNT(DISTINCT b.id) AS posts, COUNT(r.id) AS reviews, AVG(r.rating) AS average_rating,
+    ${RATINGS.map(rating => `SUM(r.rating = ${rating}) AS rating_${rating}`).join(', ')}`;
+
+  const [rows] = await pool.query(
+    `SELECT ${group.columns}, ${aggregates}
+     ${join}
+     GROUP BY ${group.groupBy}
+     ORDER BY reviews DESC, average_rating DESC`,
+    range.params
+  );
+  const [[totals]] = await pool.query(`SELECT ${aggregates} ${join}`, range.params);
+
+  return {
+    columns: [...group.csv, 'posts', 'reviews', 'average_rating', ...RATINGS.map(rating => `rating_${rating}`)],
+    rows: rows.map(row => {
+      const keys = {};
+      for (const column of group.csv) keys[column] = row[column];
+      return { ...keys, ...formatBlogRow(row) };
+    }),
+    totals: formatBlogRow(totals)
+  };
+}
+
+module.exports = { donationReport, volunteerReport, blogReport };
@@ -0,0 +1,117 @@
+// backend/test/audit.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, signToken, startApp } = require('./helpers');
+const { diffChanges } = require('../audit');
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+beforeEach(() => db.reset());
+
+test('lists the fields that changed', () => {
+  assert.deepEqual(
+    diffChanges({ title: 'Old', status: 'draft' }, { title: 'New', status: 'draft' }),
+    { title: { from: 'Old', to: 'New' } }
+  );
+});
+
+test('compares dates by instant', () => {
+  const before = { publish_at: new Date('2025-03-01T10:00:00Z') };
+  const after = { publish_at: new Date('2025-03-01T10:00:00.000Z') };
+  assert.deepEqual(diffChanges(before, after), {});
+});
+
+test('lists every field of a created or deleted entity', () => {
+  assert.deepEqual(diffChanges(null, { rating: 4 }), { rating: { from: null, to: 4 } });
+  assert.deepEqual(diffChanges({ rating: 4 }, null), { rating: { from: 4, to: null } });
+});
+
+test('never records passwords or tokens', () => {
+  assert.deepEqual(diffChanges({ password: 'a', role: 'donor' }, { password: 'b', role: 'donor' }), {});
+});
+
+test('free text diffs and the client are stored apart from the append-only entry', async () => {
+  db.on(/SELECT \* FROM bios/, [[{ user_id: 9, bio: 'I live at 1 Main St' }]]);
+  db.on(/UPDATE bios/, [{ affectedRows: 1 }]);
+  db.on(/INSERT INTO audit_log \(/, [{ insertId: 41 }]);
+  db.on(/INSERT INTO audit_log_personal/, [{ affectedRows: 1 }]);
+
+  const res = await api.request('PUT', '/api/user/bio', {
+    token: signToken({ userId: 9 }),
+    headers: { 'user-agent': 'test-browser' },
+    body: { bio: 'Hello' }
+  });
+  assert.equal(res.status, 200);
+
+  const entry = db.queries.find(q => /INSERT INTO audit_log \(/.test(q.sql));
+  assert.deepEqual(JSON.parse(entry.params[5]), { bio: { changed: true } });
+
+  const personal = db.queries.find(q => /INSERT INTO audit_log_personal/.test(q.sql));
+  const [auditId, ip, userAgent, changes] = personal.params;
+  assert.equal(auditId, 41);
+  assert.ok(ip);
+  assert.equal(userAgent, 'test-browser');
+  assert.deepEqual(JSON.parse(changes), { bio: { from: 'I live at 1 Main St', to: 'Hello' } });
+});
+
+test('reading the log puts the personal diffs back while they exist', async () => {
+  db.on(/SELECT COUNT\(\*\) AS total FROM audit_log/, [[{ total: 2 }]]);
+  db.on(/FROM audit_log a\s+LEFT JOIN audit_log_personal/, [[
+    {
+      id: 2, action: 'user.bio_updated', entity_type: 'user', entity_id: '9',
+      changes: { bio: { changed: true } }, personal_changes: { bio: { from: 'Old', to: 'New' } },
+      ip: '127.0.0.1', user_agent: 'test-browser', created_at: new Date(), performed_by: 'you'
+    },
+    {
+      id: 1, action: 'user.bio_updated', entity_type: 'user', entity_id: '9',
+      changes: { bio: { changed: true } }, personal_changes: null,
+      ip: null, user_agent: null, created_at: new Date(), performed_by: 'you'
+    }
+  ]]);
+
+  const res = await api.request('GET', '/api/me/activity', { token: signToken({ userId: 9 }) });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.activity.map(entry => entry.changes), [
+    { bio: { from: 'Old', to: 'New' } },
+    { bio: { changed: true } }
+  ]);
+  assert.ok(!('personal_changes' in res.body.activity[0]));
+});
+
+test('only admins read the audit log', async () => {
+  const res = await api.request('GET', '/api/admin/audit-log', { token: signToken({ role: 'editor' }) });
+  assert.equal(res.status, 403);
+  assert.ok(!db.queries.some(q => /audit_log/.test(q.sql)));
+});
+
+test('records an admin deleting a review', async () => {
+  db.on(/SELECT blog_id, user_id, rating, status FROM blog_reviews/, [[{ blog_id: 3, user_id: 9, rating: 1, status: 'approved' }]]);
+  db.on(/DELETE FROM blog_reviews/, [{ affectedRows: 1 }]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 1 }]);
+
+  const res = await api.request('DELETE', '/api/admin/reviews/12', { token: signToken({ userId: 2, role: 'admin' }) });
+  assert.equal(res.status, 200);
+
+  const entry = db.queries.find(q => /INSERT INTO audit_log \(/.test(q.sql));
+  assert.ok(entry, 'no audit entry was written');
+  assert.deepEqual(entry.params.slice(0, 5), [2, 'admin', 'review.deleted', 'review', '12']);
+  assert.deepEqual(JSON.parse(entry.params[5]), {
+    blog_id: { from: 3, to: null }, user_id: { from: 9, to: null }, rating: { from: 1, to: null }, status: { from: 'approved', to: null }
+  });
+});
+
+test('records a case update with the fields that changed', async () => {
+  db.on(/SELECT id FROM users WHERE id = \? AND role IN/, [[{ id: 6 }]]);
+  db.on(/FROM assistance_cases WHERE id = \? FOR UPDATE/, [[{ id: 31, status: 'new', assigned_to: null, follow_up_date: null }]]);
+  db.on(/^\s*(UPDATE|INSERT)/, [{ affectedRows: 1, insertId: 1 }]);
+
+  const res = await api.request('PUT', '/api/cases/31', { token: signToken({ userId: 5, role: 'caseworker' }), body: { assignedTo: 6 } });
+  assert.equal(res.status, 200);
+
+  const entry = db.queries.find(q => /INSERT INTO audit_log \(/.test(q.sql));
+  assert.ok(entry, 'no audit entry was written');
+  assert.equal(entry.params[2], 'case.updated');
+  assert.deepEqual(JSON.parse(entry.params[5]), { assigned_to: { from: null, to: 6 } });
+});
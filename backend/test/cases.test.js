@@ -0,0 +1,113 @@
+// backend/test/cases.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.FIELD_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+
+const { db, signToken, startApp } = require('./helpers');
+const { encrypt, decrypt } = require('../encryption');
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+beforeEach(() => db.reset());
+
+test('encrypted values decrypt to the original text', () => {
+  const first = encrypt('Flat 2, 10 High Street');
+  const second = encrypt('Flat 2, 10 High Street');
+  assert.match(first, /^v1:[^:]+:[^:]+:[^:]+$/);
+  assert.notEqual(first, second, 'every value gets its own IV');
+  assert.equal(decrypt(first), 'Flat 2, 10 High Street');
+  assert.equal(decrypt(encrypt('')), '');
+  assert.equal(encrypt(null), null);
+  assert.equal(decrypt(null), null);
+});
+
+test('tampered ciphertext is rejected', () => {
+  const [version, iv, tag, ciphertext] = encrypt('+44 20 7946 0000').split(':');
+  const bytes = Buffer.from(ciphertext, 'base64');
+  bytes[0] ^= 1;
+
+  assert.throws(() => decrypt([version, iv, tag, bytes.toString('base64')].join(':')));
+  assert.throws(() => decrypt([version, iv, Buffer.alloc(16).toString('base64'), ciphertext].join(':')));
+  assert.throws(() => decrypt('+44 20 7946 0000'), /not in a supported encrypted format/);
+});
+
+const request = {
+  needType: 'food',
+  householdSize: 4,
+  location: 'Nairobi',
+  name: 'Amina Otieno',
+  phone: '+254 700 000000',
+  email: 'amina@example.org',
+  address: '12 Riverside Lane',
+  details: 'Lost income after an illness'
+};
+
+test('case contact details and needs are stored encrypted', async () => {
+  db.on(/INSERT INTO assistance_cases/, [{ insertId: 31 }]);
+  db.on(/INSERT INTO case_history/, [{ affectedRows: 1 }]);
+
+  const res = await api.request('POST', '/api/assistance-requests', { body: request });
+  assert.equal(res.status, 201);
+
+  const { params } = db.queries.find(q => /INSERT INTO assistance_cases/.test(q.sql));
+  const [needType, householdSize, location, ...stored] = params;
+  assert.deepEqual([needType, householdSize, location], ['food', 4, 'Nairobi']);
+
+  const sensitive = stored.slice(0, 5);
+  const plain = [request.name, request.phone, request.email, request.address, request.details];
+  for (const [index, value] of sensitive.entries()) {
+    assert.ok(value.startsWith('v1:') && !value.includes(plain[index]), `${plain[index]} stored in plain text`);
+    assert.equal(decrypt(value), plain[index]);
+  }
+  assert.deepEqual(stored.slice(5), ['self', null]);
+});
+
+function storedCase() {
+  return {
+    id: 31,
+    need_type: 'food',
+    household_size: 4,
+    location: 'Nairobi',
+    applicant_name: encrypt(request.name),
+    phone: encrypt(request.phone),
+    email: null,
+    address: null,
+    details: encrypt(request.details),
+    status: 'new',
+    assigned_to: null,
+    assigned_first_name: null,
+    assigned_last_name: null,
+    follow_up_date: null,
+    submitted_via: 'self',
+    submitted_by: null,
+    created_at: new Date(),
+    updated_at: new Date(),
+    closed_at: null
+  };
+}
+
+test('caseworkers read cases in plain text', async () => {
+  db.on(/FROM assistance_cases c/, [[storedCase()]]);
+  db.on(/FROM case_notes n/, [[{
+    id: 1, note: encrypt('Called back, food parcel arranged'), author_id: 5,
+    author_first_name: 'Cas', author_last_name: 'Worker', created_at: new Date()
+  }]]);
+  db.on(/FROM case_history h/, [[]]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 1 }]);
+
+  const res = await api.request('GET', '/api/cases/31', { token: signToken({ userId: 5, role: 'caseworker' }) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.applicant_name, request.name);
+  assert.equal(res.body.phone, request.phone);
+  assert.equal(res.body.email, null);
+  assert.equal(res.body.notes[0].note, 'Called back, food parcel arranged');
+});
+
+test('cases are not visible to donors', async () => {
+  const res = await api.request('GET', '/api/cases/31', { token: signToken({ role: 'donor' }) });
+  assert.equal(res.status, 403);
+  assert.ok(!db.queries.some(q => /assistance_cases/.test(q.sql)));
+});
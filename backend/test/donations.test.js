@@ -0,0 +1,134 @@
+// backend/test/donations.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, signToken, startApp } = require('./helpers');
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+beforeEach(() => db.reset());
+
+const donor = { userId: 9, email: 'sam@example.org' };
+
+test('donation history lists the gifts made with the donor\'s email', async () => {
+  db.on(/FROM Donations WHERE email = \? ORDER BY/, [[{
+    id: 4, amount: '25.00', currency: 'USD', base_amount: '25.00', frequency: 'one-time',
+    card_last_four: '4242', payment_status: 'completed', subscription_id: null, created_at: new Date('2025-03-01T10:00:00Z')
+  }]]);
+  db.on(/GROUP BY YEAR\(created_at\)/, [[{ year: 2025, amount: '25.00', count: 1 }]]);
+
+  const res = await api.request('GET', '/api/me/donations', { token: signToken(donor) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.donations[0].id, 4);
+  assert.equal(res.body.totals.lifetime.amount, 25);
+  assert.deepEqual(db.queries.find(q => /FROM Donations/.test(q.sql)).params, ['sam@example.org']);
+});
+
+test('donation history waits until the email is verified', async () => {
+  const res = await api.request('GET', '/api/me/donations', { token: signToken({ ...donor, emailVerified: false }) });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+  assert.ok(!db.queries.some(q => /Donations/.test(q.sql)));
+});
+
+test('receipts and annual statements wait until the email is verified', async () => {
+  const token = signToken({ ...donor, emailVerified: false });
+
+  let res = await api.request('GET', '/api/me/receipts', { token });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+
+  res = await api.request('GET', '/api/me/statements/2025', { token });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+
+  assert.ok(!db.queries.some(q => /receipts/.test(q.sql)));
+});
+
+test('a receipt PDF is not sent to an unverified account with the same email', async () => {
+  db.on(/SELECT \* FROM receipts WHERE donation_id/, [[{ id: 1, donation_id: 4, email: 'sam@example.org', receipt_number: 'R-2025-000001' }]]);
+
+  const res = await api.request('GET', '/api/donations/4/receipt', { token: signToken({ ...donor, emailVerified: false }) });
+  assert.equal(res.status, 403);
+});
+
+test('receipts list the verified donor\'s receipts', async () => {
+  db.on(/FROM receipts WHERE email = \?/, [[]]);
+
+  const res = await api.request('GET', '/api/me/receipts', { token: signToken(donor) });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, []);
+  assert.deepEqual(db.queries.find(q => /FROM receipts/.test(q.sql)).params, ['sam@example.org']);
+});
+
+const subscription = {
+  id: 7, email: 'sam@example.org', amount: '25.00', currency: 'USD', frequency: 'monthly', status: 'active',
+  next_charge_at: new Date(Date.now() + 7 * 24 * 3600 * 1000), billing_anchor_day: 15
+};
+
+test('recurring donations wait until the email is verified', async () => {
+  const token = signToken({ ...donor, emailVerified: false });
+  const requests = [
+    ['GET', '/api/me/subscriptions'],
+    ['PUT', '/api/me/subscriptions/7', { amount: 30 }],
+    ['POST', '/api/me/subscriptions/7/pause'],
+    ['POST', '/api/me/subscriptions/7/resume'],
+    ['POST', '/api/me/subscriptions/7/cancel']
+  ];
+  for (const [method, path, body] of requests) {
+    const res = await api.request(method, path, { token, body });
+    assert.equal(res.status, 403, `${method} ${path}`);
+    assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+  }
+  assert.ok(!db.queries.some(q => /subscriptions/.test(q.sql)));
+});
+
+function auditEntry() {
+  const entry = db.queries.find(q => /INSERT INTO audit_log \(/.test(q.sql));
+  assert.ok(entry, 'no audit entry was written');
+  const [actorId, , action, entityType, entityId, changes] = entry.params;
+  return { actorId, action, entityType, entityId, changes: JSON.parse(changes) };
+}
+
+test('changing the amount of a recurring donation is audited', async () => {
+  db.on(/SELECT \* FROM subscriptions WHERE id = \? AND email = \?/, [[subscription]]);
+  db.on(/UPDATE subscriptions SET amount/, [{ affectedRows: 1 }]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 1 }]);
+
+  const res = await api.request('PUT', '/api/me/subscriptions/7', { token: signToken(donor), body: { amount: 30 } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(auditEntry(), {
+    actorId: 9, action: 'subscription.amount_changed', entityType: 'subscription', entityId: '7',
+    changes: { amount: { from: 25, to: 30 } }
+  });
+});
+
+test('pausing and cancelling a recurring donation are audited', async () => {
+  db.on(/SELECT \* FROM subscriptions WHERE id = \? AND email = \?/, [[subscription]]);
+  db.on(/UPDATE subscriptions SET status/, [{ affectedRows: 1 }]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 1 }]);
+
+  let res = await api.request('POST', '/api/me/subscriptions/7/pause', { token: signToken(donor) });
+  assert.equal(res.status, 200);
+  assert.equal(auditEntry().action, 'subscription.paused');
+  assert.deepEqual(auditEntry().changes, { status: { from: 'active', to: 'paused' } });
+
+  db.queries.length = 0;
+  res = await api.request('POST', '/api/me/subscriptions/7/cancel', { token: signToken(donor) });
+  assert.equal(res.status, 200);
+  assert.equal(auditEntry().action, 'subscription.cancelled');
+  assert.deepEqual(auditEntry().changes, { status: { from: 'active', to: 'cancelled' } });
+});
+
+test('resuming a recurring donation is audited with its next charge', async () => {
+  db.on(/SELECT \* FROM subscriptions WHERE id = \? AND email = \?/, [[{ ...subscription, status: 'paused' }]]);
+  db.on(/UPDATE subscriptions SET status = 'active'/, [{ affectedRows: 1 }]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 1 }]);
+
+  const res = await api.request('POST', '/api/me/subscriptions/7/resume', { token: signToken(donor) });
+  assert.equal(res.status, 200);
+  const { action, changes } = auditEntry();
+  assert.equal(action, 'subscription.resumed');
+  assert.deepEqual(changes.status, { from: 'paused', to: 'active' });
+});
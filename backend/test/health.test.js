@@ -0,0 +1,115 @@
+// backend/test/health.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { db, startApp } = require('./helpers');
+const { redact } = require('../logging');
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+beforeEach(() => db.reset());
+
+// schema_migrations rows for every migration file, as if all were applied
+function appliedMigrations() {
+  const dir = path.join(__dirname, '..', 'database', 'migrations');
+  return fs.readdirSync(dir)
+    .sort()
+    .map((file, index) => ({
+      name: path.basename(file, '.js'),
+      checksum: crypto.createHash('sha256').update(fs.readFileSync(path.join(dir, file))).digest('hex'),
+      batch: 1,
+      applied_at: new Date(Date.UTC(2025, 0, 1 + index))
+    }));
+}
+
+function database({ applied = appliedMigrations() } = {}) {
+  db.on(/^SELECT 1$/, [[{ 1: 1 }]]);
+  db.on(/FROM schema_migrations/, [applied]);
+}
+
+test('liveness does not touch the database', async () => {
+  const res = await api.request('GET', '/api/health/live');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { status: 'ok' });
+  assert.equal(db.queries.length, 0);
+});
+
+test('ready when the database answers and every migration is applied', async () => {
+  database();
+
+  const res = await api.request('GET', '/api/health/ready');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.checks, { database: 'ok', migrations: 'ok' });
+});
+
+test('not ready while a migration is pending or was edited after it ran', async () => {
+  database({ applied: appliedMigrations().slice(0, -1) });
+  let res = await api.request('GET', '/api/health');
+  assert.equal(res.status, 503);
+  assert.deepEqual(res.body.checks, { database: 'ok', migrations: 'pending' });
+
+  db.reset();
+  database({ applied: appliedMigrations().map((row, index) => index === 0 ? { ...row, checksum: 'f'.repeat(64) } : row) });
+  res = await api.request('GET', '/api/health/ready');
+  assert.equal(res.status, 503);
+  assert.equal(res.body.checks.migrations, 'pending');
+});
+
+test('not ready before the first migration, without creating anything', async () => {
+  db.on(/^SELECT 1$/, [[{ 1: 1 }]]);
+  db.on(/FROM schema_migrations/, Object.assign(new Error("Table 'schema_migrations' doesn't exist"), { code: 'ER_NO_SUCH_TABLE' }));
+
+  const res = await api.request('GET', '/api/health/ready');
+  assert.equal(res.status, 503);
+  assert.deepEqual(res.body.checks, { database: 'ok', migrations: 'pending' });
+  assert.ok(db.queries.every(q => /^\s*SELECT/.test(q.sql)), 'the readiness check wrote to the database');
+});
+
+test('not ready when the database is down', async () => {
+  db.on(/^SELECT 1$/, new Error('connect ECONNREFUSED'));
+
+  const res = await api.request('GET', '/api/health/ready');
+  assert.equal(res.status, 503);
+  assert.deepEqual(res.body.checks, { database: 'failed', migrations: 'skipped' });
+});
+
+test('requests are counted by route pattern, not URL', async () => {
+  db.on(/FROM blogs/, [[]]);
+  await api.request('GET', '/api/blogs/some-post');
+
+  const res = await api.request('GET', '/metrics');
+  assert.equal(res.status, 200);
+  assert.match(res.text, /http_requests_total\{method="GET",route="\/api\/blogs\/:id",status="404"\} \d+/);
+  assert.doesNotMatch(res.text, /some-post/);
+});
+
+test('metrics require the token when one is configured', async () => {
+  process.env.METRICS_TOKEN = 'scrape-secret';
+  try {
+    let res = await api.request('GET', '/metrics');
+    assert.equal(res.status, 401);
+    res = await api.request('GET', '/metrics', { headers: { authorization: 'Bearer scrape-secret' } });
+    assert.equal(res.status, 200);
+  } finally {
+    delete process.env.METRICS_TOKEN;
+  }
+});
+
+test('every response carries a request ID, kept from the caller when it looks like one', async () => {
+  let res = await api.request('GET', '/api/health/live', { headers: { 'x-request-id': 'trace-123' } });
+  assert.equal(res.headers.get('x-request-id'), 'trace-123');
+
+  res = await api.request('GET', '/api/health/live', { headers: { 'x-request-id': 'not an id!' } });
+  assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
+
+test('log fields with personal data are redacted', () => {
+  assert.deepEqual(
+    redact({ userId: 4, email: 'sam@example.org', nested: { cardholderName: 'Sam' }, note: 'mail sam@example.org' }),
+    { userId: 4, email: '[REDACTED]', nested: { cardholderName: '[REDACTED]' }, note: 'mail s***@example.org' }
+  );
+});
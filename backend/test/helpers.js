@@ -0,0 +1,120 @@
+// backend/test/helpers.js
+// Loads the app against a fake database and serves it on a random port.
+// Tests script the database with db.on(pattern, result): the first handler whose
+// pattern matches the SQL answers the query; unmatched queries fail the request.
+// Responses are checked against the OpenAPI spec in strict mode (NODE_ENV=test),
+// so a response that does not match its documentation comes back as a 500.
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+// Request logs would bury the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mysql = require('mysql2/promise');
+
+const sessions = new Map();
+let handlers = [];
+const mail = { sent: [] };
+
+const db = {
+  // result is the [rows] tuple mysql2 resolves with, a function of (sql, params)
+  // returning one, or an Error to reject with
+  on(pattern, result) {
+    handlers.push({ pattern, result });
+  },
+  reset() {
+    handlers = [];
+    db.queries.length = 0;
+    db.transactions.length = 0;
+    mail.sent.length = 0;
+  },
+  queries: [],
+  // 'begin', 'commit' and 'rollback', in the order connections called them
+  transactions: []
+};
+
+async function fakeQuery(sql, params = []) {
+  const text = typeof sql === 'string' ? sql : sql.sql;
+  db.queries.push({ sql: text, params });
+
+  // Access tokens signed by signToken have a live session
+  if (/FROM sessions s JOIN users u/.test(text)) {
+    const session = sessions.get(params[0]);
+    return [session ? [session] : []];
+  }
+
+  const handler = handlers.find(({ pattern }) => pattern.test(text));
+  if (!handler) {
+    throw new Error(`Unexpected query: ${text.replace(/\s+/g, ' ').trim()}`);
+  }
+  if (handler.result instanceof Error) {
+    throw handler.result;
+  }
+  return typeof handler.result === 'function' ? handler.result(text, params) : handler.result;
+}
+
+function fakeConnection(query) {
+  return {
+    query,
+    execute: query,
+    beginTransaction: async () => { db.transactions.push('begin'); },
+    commit: async () => { db.transactions.push('commit'); },
+    rollback: async () => { db.transactions.push('rollback'); },
+    release: () => {}
+  };
+}
+
+mysql.createPool = () => ({
+  query: fakeQuery,
+  execute: fakeQuery,
+  getConnection: async () => fakeConnection(fakeQuery),
+  end: async () => {}
+});
+
+const app = require('../server');
+
+// Mail is kept in mail.sent instead of being printed
+require('../mail').getMailTransport().send = async message => {
+  mail.sent.push(message);
+  return { messageId: `<test-${mail.sent.length}@localhost>` };
+};
+
+// An access token for a live session. `tokenRole` signs a different role into
+// the token than the account has (e.g. one issued before a demotion).
+function signToken({ userId = 1, email = 'user@example.org', role = 'donor', tokenRole = role, locale = null, emailVerified = true } = {}) {
+  const sid = crypto.randomUUID();
+  sessions.set(sid, { role, locale, email_verified_at: emailVerified ? new Date() : null });
+  return jwt.sign({ userId, email, role: tokenRole, sid }, process.env.JWT_SECRET, { expiresIn: '5m' });
+}
+
+async function startApp() {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // A string body is sent as-is (e.g. a signed webhook payload), anything else as JSON
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    headers = { ...headers };
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await res.text();
+    const isJson = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, headers: res.headers, text, body: isJson && text ? JSON.parse(text) : null };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  return { request, close };
+}
+
+module.exports = { app, db, mail, signToken, startApp };
@@ -0,0 +1,30 @@
+// backend/test/locale.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toBaseCurrency } = require('../currency');
+const { resolveLocale, formatDate, localize } = require('../locale');
+
+test('converts amounts to the base currency with the rate used', () => {
+  assert.deepEqual(toBaseCurrency('25.00', 'USD'), { rate: 1, baseAmount: 25 });
+  assert.deepEqual(toBaseCurrency(92, 'EUR'), { rate: 0.92, baseAmount: 100 });
+  assert.throws(() => toBaseCurrency(10, 'XYZ'), /No exchange rate for XYZ/);
+});
+
+test('a saved locale wins over Accept-Language, which is read in order of preference', () => {
+  const headers = { 'accept-language': 'xx-invalid;q=1, de-CH;q=0.8, fr;q=0.9' };
+  assert.equal(resolveLocale({ headers }), 'fr');
+  assert.equal(resolveLocale({ headers, user: { locale: 'en-GB' } }), 'en-GB');
+  assert.equal(resolveLocale({ headers: {} }), null);
+});
+
+test('dates are not shifted by the server time zone', () => {
+  assert.equal(formatDate('2025-03-01', 'en-US'), 'March 1, 2025');
+});
+
+test('records are only given formatted values when there is a locale', () => {
+  const donation = { amount: '12.50', currency: 'EUR', donated_on: '2025-03-01' };
+  assert.equal(localize(donation, null, { amounts: ['amount'] }), donation);
+
+  const { formatted } = localize(donation, 'en-US', { dates: ['donated_on'], amounts: ['amount'] });
+  assert.deepEqual(formatted, { donated_on: 'March 1, 2025', amount: '€12.50' });
+});
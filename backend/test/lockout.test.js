@@ -0,0 +1,98 @@
+// backend/test/lockout.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+
+const { db, mail, startApp } = require('./helpers');
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+beforeEach(() => db.reset());
+
+const user = {
+  id: 3,
+  first_name: 'Lee',
+  email: 'lee@example.org',
+  password: bcrypt.hashSync('right password', 4),
+  role: 'donor',
+  failed_login_attempts: 0,
+  email_verified_at: new Date()
+};
+
+function failedLogin(failuresSoFar) {
+  db.reset();
+  db.on(/SELECT \* FROM users WHERE email/, [[user]]);
+  db.on(/AS seconds FROM users/, [[{ seconds: 0 }]]);
+  db.on(/SET\s+failed_login_attempts = IF/, [{ affectedRows: 1 }]);
+  db.on(/SELECT failed_login_attempts FROM users/, [[{ failed_login_attempts: failuresSoFar }]]);
+  db.on(/SET locked_until = DATE_ADD/, [{ affectedRows: 1 }]);
+  db.on(/user_tokens/, [{ affectedRows: 1 }]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 1 }]);
+  return api.request('POST', '/api/login', { body: { email: user.email, password: 'wrong password' } });
+}
+
+test('accounts lock after the threshold, for twice as long on every further failure', async () => {
+  let res = await failedLogin(4);
+  assert.equal(res.status, 401);
+  assert.ok(!db.queries.some(q => /locked_until = DATE_ADD/.test(q.sql)));
+
+  const expected = { 5: 5, 6: 10, 7: 20, 20: 24 * 60 };
+  for (const [failures, minutes] of Object.entries(expected)) {
+    res = await failedLogin(Number(failures));
+    assert.equal(res.status, 423, `after ${failures} failures`);
+    assert.equal(res.body.code, 'ACCOUNT_LOCKED');
+    assert.equal(res.headers.get('retry-after'), String(minutes * 60));
+    assert.deepEqual(db.queries.find(q => /locked_until = DATE_ADD/.test(q.sql)).params, [minutes, user.id]);
+
+    // Only the first lock mails the unlock link
+    assert.equal(mail.sent.length, failures === '5' ? 1 : 0, `unlock emails after ${failures} failures`);
+  }
+});
+
+test('a locked account is refused even with the right password', async () => {
+  db.on(/SELECT \* FROM users WHERE email/, [[user]]);
+  db.on(/AS seconds FROM users/, [[{ seconds: 120 }]]);
+
+  const res = await api.request('POST', '/api/login', { body: { email: user.email, password: 'right password' } });
+  assert.equal(res.status, 423);
+  assert.equal(res.headers.get('retry-after'), '120');
+  assert.ok(!db.queries.some(q => /sessions/.test(q.sql)));
+});
+
+test('the emailed unlock link clears the lock once', async () => {
+  db.on(/UPDATE user_tokens SET used_at/, [{ affectedRows: 1 }]);
+  db.on(/SELECT user_id FROM user_tokens/, [[{ user_id: 3 }]]);
+  db.on(/SET failed_login_attempts = 0/, [{ affectedRows: 1 }]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 1 }]);
+
+  let res = await api.request('POST', '/api/unlock-account', { body: { token: 'b'.repeat(64) } });
+  assert.equal(res.status, 200);
+  assert.match(db.queries[0].sql, /type = \? AND used_at IS NULL AND expires_at > NOW\(\)/);
+  assert.equal(db.queries[0].params[1], 'account_unlock');
+  const unlock = db.queries.find(q => /SET failed_login_attempts = 0/.test(q.sql));
+  assert.match(unlock.sql, /locked_until = NULL/);
+  assert.deepEqual(unlock.params, [3]);
+
+  db.reset();
+  db.on(/UPDATE user_tokens SET used_at/, [{ affectedRows: 0 }]);
+  res = await api.request('POST', '/api/unlock-account', { body: { token: 'b'.repeat(64) } });
+  assert.equal(res.status, 400);
+});
+
+test('emails about one account are throttled', async () => {
+  db.on(/SELECT id, first_name, email FROM users/, [[]]);
+
+  for (let i = 0; i < 5; i++) {
+    const res = await api.request('POST', '/api/forgot-password', { body: { email: 'Target@example.org' } });
+    assert.equal(res.status, 200);
+  }
+
+  const res = await api.request('POST', '/api/forgot-password', { body: { email: 'target@example.org' } });
+  assert.equal(res.status, 429);
+  assert.equal(res.body.code, 'TOO_MANY_REQUESTS');
+  assert.ok(res.headers.get('ratelimit'));
+
+  const other = await api.request('POST', '/api/forgot-password', { body: { email: 'someone@example.org' } });
+  assert.equal(other.status, 200);
+});
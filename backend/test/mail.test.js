@@ -0,0 +1,36 @@
+// backend/test/mail.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The transport a fresh copy of the mail module picks with `env` over the
+// current environment (undefined removes a variable)
+function transportWith(env) {
+  const saved = { ...process.env };
+  for (const [name, value] of Object.entries(env)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  try {
+    delete require.cache[require.resolve('../mail')];
+    return require('../mail').getMailTransport();
+  } finally {
+    process.env = saved;
+    delete require.cache[require.resolve('../mail')];
+  }
+}
+
+test('production refuses the console transport, which prints reset links', () => {
+  assert.throws(() => transportWith({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' }), /cannot be used in production/);
+});
+
+test('production defaults to SMTP and needs a host', () => {
+  assert.throws(() => transportWith({ NODE_ENV: 'production', MAIL_TRANSPORT: undefined, SMTP_HOST: undefined }), /SMTP_HOST must be set/);
+});
+
+test('development defaults to the console', () => {
+  assert.equal(transportWith({ NODE_ENV: 'development', MAIL_TRANSPORT: undefined }).name, 'console');
+});
+
+test('an unknown transport is refused', () => {
+  assert.throws(() => transportWith({ NODE_ENV: 'development', MAIL_TRANSPORT: 'pigeon' }), /Unknown mail transport "pigeon"/);
+});
@@ -0,0 +1,66 @@
+// backend/test/migrations.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+require('./helpers');
+const { getMigrationStatus } = require('../database/migrate');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'database', 'migrations');
+const files = fs.readdirSync(MIGRATIONS_DIR);
+
+// A migration that reads application code or data can behave differently (and
+// change its checksum) long after it was applied
+test('migrations only require built-in modules', () => {
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    const required = [...source.matchAll(/require\(\s*['"]([^'"]+)['"]\s*\)/g)].map(match => match[1]);
+    const local = required.filter(name => name.startsWith('.'));
+    assert.deepEqual(local, [], `${file} requires ${local.join(', ')}`);
+  }
+});
+
+test('every migration exports up and down', () => {
+  for (const file of files) {
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    assert.equal(typeof migration.up, 'function', `${file} has no up()`);
+    assert.equal(typeof migration.down, 'function', `${file} has no down()`);
+  }
+});
+
+// Anything worth reporting is returned from up() and printed by the migrate CLI
+test('migrations do not write to the console', () => {
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    assert.doesNotMatch(source, /console\./, file);
+  }
+});
+
+function fakeConnection(applied) {
+  return {
+    query: async sql => (/FROM schema_migrations/.test(sql) ? [applied] : [{}])
+  };
+}
+
+test('reports pending, applied, modified and missing migrations', async () => {
+  const [first] = files;
+  const checksum = crypto.createHash('sha256').update(fs.readFileSync(path.join(MIGRATIONS_DIR, first))).digest('hex');
+  const appliedAt = new Date();
+
+  let status = await getMigrationStatus(fakeConnection([]));
+  assert.deepEqual(status.map(m => m.status), files.map(() => 'pending'));
+
+  status = await getMigrationStatus(fakeConnection([
+    { name: path.basename(first, '.js'), checksum, batch: 1, applied_at: appliedAt },
+    { name: '999_removed', checksum, batch: 1, applied_at: appliedAt }
+  ]));
+  assert.equal(status[0].status, 'applied');
+  assert.deepEqual(status.at(-1), { name: '999_removed', status: 'missing', batch: 1, appliedAt });
+
+  status = await getMigrationStatus(fakeConnection([
+    { name: path.basename(first, '.js'), checksum: '0'.repeat(64), batch: 1, applied_at: appliedAt }
+  ]));
+  assert.equal(status[0].status, 'modified');
+});
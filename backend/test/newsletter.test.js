@@ -0,0 +1,115 @@
+// backend/test/newsletter.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, mail, startApp } = require('./helpers');
+const { signSubscriberToken, processNewsletterQueue } = require('../newsletter');
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+beforeEach(() => db.reset());
+
+test('subscribing mails a confirmation link and nothing else until it is used', async () => {
+  db.on(/SELECT DISTINCT category FROM blogs/, [[{ category: 'Education' }]]);
+  db.on(/SELECT id, status FROM subscribers WHERE email/, [[]]);
+  db.on(/INSERT INTO subscribers/, [{ insertId: 8 }]);
+  db.on(/DELETE FROM subscriber_topics/, [{ affectedRows: 0 }]);
+  db.on(/INSERT INTO subscriber_topics/, [{ affectedRows: 1 }]);
+
+  const res = await api.request('POST', '/api/newsletter/subscribe', {
+    body: { email: 'reader@example.org', topics: ['Education'] }
+  });
+  assert.equal(res.status, 202);
+  assert.equal(mail.sent.length, 1);
+  assert.equal(mail.sent[0].to, 'reader@example.org');
+  assert.match(mail.sent[0].text, /\/newsletter\/confirm\?token=[0-9a-f]{64}/);
+});
+
+test('subscribing an address that is already active gives the same answer and sends nothing', async () => {
+  db.on(/SELECT DISTINCT category FROM blogs/, [[]]);
+  db.on(/SELECT id, status FROM subscribers WHERE email/, [[{ id: 8, status: 'active' }]]);
+
+  const res = await api.request('POST', '/api/newsletter/subscribe', { body: { email: 'reader@example.org' } });
+  assert.equal(res.status, 202);
+  assert.equal(mail.sent.length, 0);
+  assert.ok(!db.queries.some(q => /INSERT INTO subscribers|UPDATE subscribers/.test(q.sql)));
+});
+
+test('topics must be blog categories', async () => {
+  db.on(/SELECT DISTINCT category FROM blogs/, [[{ category: 'Education' }]]);
+
+  const res = await api.request('POST', '/api/newsletter/subscribe', {
+    body: { email: 'reader@example.org', topics: ['Gossip'] }
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.fields, { topics: 'contains unknown topics: Gossip' });
+});
+
+test('confirming activates the subscription and returns the preference token', async () => {
+  db.on(/SELECT id FROM subscribers WHERE confirm_token_hash/, [[{ id: 8 }]]);
+  db.on(/SET status = 'active'/, [{ affectedRows: 1 }]);
+
+  const res = await api.request('POST', '/api/newsletter/confirm', { body: { token: 'a'.repeat(64) } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.token, signSubscriberToken(8));
+});
+
+test('an unknown or expired confirmation link is refused', async () => {
+  db.on(/SELECT id FROM subscribers WHERE confirm_token_hash/, [[]]);
+
+  const res = await api.request('POST', '/api/newsletter/confirm', { body: { token: 'a'.repeat(64) } });
+  assert.equal(res.status, 400);
+});
+
+test('one-click unsubscribe works with the signed token', async () => {
+  db.on(/SELECT id, email, status FROM subscribers WHERE id/, [[{ id: 8, email: 'reader@example.org', status: 'active' }]]);
+  db.on(/SET status = 'unsubscribed'/, [{ affectedRows: 1 }]);
+
+  const res = await api.request('POST', `/api/newsletter/unsubscribe?token=${signSubscriberToken(8)}`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(db.queries.at(-1).params, [8]);
+});
+
+test('following an unsubscribe link does not unsubscribe', async () => {
+  const res = await api.request('GET', `/api/newsletter/unsubscribe?token=${signSubscriberToken(8)}`);
+  assert.equal(res.status, 404);
+  assert.ok(!db.queries.some(q => /subscribers/.test(q.sql)));
+});
+
+test('a token with a forged signature is not accepted', async () => {
+  const forged = `9.${signSubscriberToken(8).split('.')[1]}`;
+
+  const res = await api.request('POST', `/api/newsletter/unsubscribe?token=${forged}`);
+  assert.equal(res.status, 404);
+  assert.ok(!db.queries.some(q => /subscribers/.test(q.sql)));
+});
+
+test('issues carry one-click unsubscribe headers and only the subscriber\'s topics', async () => {
+  db.on(/SET status = 'queued'\s+WHERE status = 'sending'/, [{ affectedRows: 0 }]);
+  db.on(/FROM newsletter_deliveries d JOIN subscribers s/, [[
+    { id: 1, issue_id: 2, subscriber_id: 8, email: 'reader@example.org', subscriber_status: 'active' }
+  ]]);
+  db.on(/SET status = 'sending', attempts/, [{ affectedRows: 1 }]);
+  db.on(/SELECT \* FROM newsletter_issues WHERE id/, [[{ id: 2, subject: 'Spring update', intro: 'Hello!' }]]);
+  db.on(/FROM newsletter_issue_posts p JOIN blogs b/, [[
+    { title: 'New school', slug: 'new-school', description: 'Built', category: 'Education' },
+    { title: 'Clean water', slug: 'clean-water', description: 'Dug', category: 'Health' }
+  ]]);
+  db.on(/SELECT category FROM subscriber_topics/, [[{ category: 'Education' }]]);
+  db.on(/SET status = 'sent', message_id/, [{ affectedRows: 1 }]);
+  db.on(/UPDATE newsletter_issues i SET status = 'sent'/, [{ affectedRows: 1 }]);
+
+  await processNewsletterQueue();
+
+  assert.equal(mail.sent.length, 1);
+  const [message] = mail.sent;
+  assert.equal(message.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+  assert.match(message.headers['List-Unsubscribe'], new RegExp(`/api/newsletter/unsubscribe\\?token=${signSubscriberToken(8)}>$`));
+  // The body links to the site's confirmation page, which POSTs to the same endpoint
+  assert.ok(message.text.includes(`/newsletter/unsubscribe?token=${signSubscriberToken(8)}`));
+  assert.ok(!message.text.includes('/api/newsletter/unsubscribe'));
+  assert.ok(message.html.includes(`/newsletter/unsubscribe?token=${signSubscriberToken(8)}`));
+  assert.match(message.text, /New school/);
+  assert.doesNotMatch(message.text, /Clean water/);
+});
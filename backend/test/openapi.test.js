@@ -0,0 +1,55 @@
+// backend/test/openapi.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, db, signToken, startApp } = require('./helpers');
+const { buildSpec, findDocDrift } = require('../openapi');
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+beforeEach(() => db.reset());
+
+test('every route is documented and every documented route exists', () => {
+  const drift = findDocDrift(app);
+  assert.deepEqual(drift.undocumented, [], 'routes missing from openapi/routes.js');
+  assert.deepEqual(drift.stale, [], 'routes in openapi/routes.js that are no longer registered');
+});
+
+test('every schema reference in the spec resolves', () => {
+  const spec = buildSpec(app, {});
+  const missing = new Set();
+  JSON.stringify(spec, (key, value) => {
+    if (key === '$ref') {
+      const name = value.replace('#/components/schemas/', '');
+      if (!spec.components.schemas[name]) missing.add(value);
+    }
+    return value;
+  });
+  assert.deepEqual([...missing], []);
+});
+
+test('every operation documents at least one success response', () => {
+  const spec = buildSpec(app, {});
+  for (const [path, operations] of Object.entries(spec.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      const codes = Object.keys(operation.responses || {});
+      assert.ok(codes.some(code => /^[23]/.test(code)), `${method.toUpperCase()} ${path} has no success response`);
+    }
+  }
+});
+
+test('the spec is served', async () => {
+  const res = await api.request('GET', '/api/openapi.json');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.openapi.split('.')[0], '3');
+  assert.ok(res.body.paths['/api/shifts/{id}/signup']);
+});
+
+// NODE_ENV=test turns on the strict response check for every route test
+test('responses that do not match the spec fail in tests', async () => {
+  db.on(/FROM shift_signups su/, [[{ id: 'not-a-number', status: 'confirmed' }]]);
+
+  const res = await api.request('GET', '/api/shifts/3/signups', { token: signToken({ role: 'admin' }) });
+  assert.equal(res.status, 500);
+  assert.equal(res.body.code, 'RESPONSE_SPEC_MISMATCH');
+});
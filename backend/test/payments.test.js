@@ -0,0 +1,99 @@
+// backend/test/payments.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.PAYMENT_WEBHOOK_SECRET = 'whsec_test';
+
+const { db, startApp } = require('./helpers');
+const { signPayload } = require('../payments/signature');
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+beforeEach(() => db.reset());
+
+function deliver(event, { secret = process.env.PAYMENT_WEBHOOK_SECRET, timestamp } = {}) {
+  const payload = JSON.stringify(event);
+  return api.request('POST', '/api/payments/webhook', {
+    body: payload,
+    headers: { 'x-payment-signature': signPayload(secret, payload, timestamp) }
+  });
+}
+
+const succeeded = { id: 'evt_1', type: 'payment_intent.succeeded', data: { paymentIntentId: 'pi_1' } };
+
+test('a signed event completes the pending donation', async () => {
+  db.on(/INSERT IGNORE INTO payment_events/, [{ affectedRows: 1 }]);
+  db.on(/UPDATE Donations SET payment_status/, [{ affectedRows: 1 }]);
+  db.on(/SELECT id FROM Donations WHERE payment_intent_id/, [[{ id: 42 }]]);
+  // The receipt itself is covered by its own test; here the donation is already receipted
+  db.on(/FOR UPDATE/, [[]]);
+  db.on(/SELECT id FROM receipts/, [[{ id: 1 }]]);
+  db.on(/FROM subscriptions s/, [[]]);
+
+  const res = await deliver(succeeded);
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, { received: true });
+
+  const update = db.queries.find(q => /UPDATE Donations/.test(q.sql));
+  assert.deepStrictEqual(update.params, ['completed', 'pi_1', 'pending']);
+});
+
+test('a bad signature is rejected without touching donations', async () => {
+  const res = await deliver(succeeded, { secret: 'not-the-secret' });
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(res.body, { error: 'Invalid signature', code: 'BAD_REQUEST' });
+  assert.strictEqual(db.queries.length, 0);
+});
+
+test('an expired signature is rejected', async () => {
+  const res = await deliver(succeeded, { timestamp: Math.floor(Date.now() / 1000) - 10 * 60 });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(db.queries.length, 0);
+});
+
+test('a replayed event is acknowledged but applied only once', async () => {
+  db.on(/INSERT IGNORE INTO payment_events/, [{ affectedRows: 0 }]);
+
+  const res = await deliver(succeeded);
+  assert.strictEqual(res.status, 200);
+  assert.ok(!db.queries.some(q => /UPDATE Donations/.test(q.sql)));
+});
+
+test('a refund voids the donation\'s receipt', async () => {
+  db.on(/INSERT IGNORE INTO payment_events/, [{ affectedRows: 1 }]);
+  db.on(/UPDATE Donations SET payment_status/, [{ affectedRows: 1 }]);
+  db.on(/SELECT id FROM Donations WHERE payment_intent_id/, [[{ id: 42 }]]);
+  db.on(/UPDATE receipts SET status = 'void'/, [{ affectedRows: 1 }]);
+  db.on(/FROM subscriptions s/, [[]]);
+
+  const res = await deliver({ id: 'evt_2', type: 'charge.refunded', data: { paymentIntentId: 'pi_1' } });
+  assert.strictEqual(res.status, 200);
+
+  const update = db.queries.find(q => /UPDATE Donations/.test(q.sql));
+  assert.deepStrictEqual(update.params, ['refunded', 'pi_1', 'completed']);
+  const voided = db.queries.find(q => /UPDATE receipts/.test(q.sql));
+  assert.deepStrictEqual(voided.params, [42]);
+});
+
+test('a refund of a donation that is not completed leaves its receipt alone', async () => {
+  db.on(/INSERT IGNORE INTO payment_events/, [{ affectedRows: 1 }]);
+  db.on(/UPDATE Donations SET payment_status/, [{ affectedRows: 0 }]);
+  db.on(/FROM subscriptions s/, [[]]);
+
+  const res = await deliver({ id: 'evt_3', type: 'charge.refunded', data: { paymentIntentId: 'pi_2' } });
+  assert.strictEqual(res.status, 200);
+  assert.ok(!db.queries.some(q => /receipts/.test(q.sql)));
+});
+
+test('an event whose effects fail is not recorded, so the provider\'s retry applies it', async () => {
+  db.on(/INSERT IGNORE INTO payment_events/, [{ affectedRows: 1 }]);
+  db.on(/UPDATE Donations SET payment_status/, [{ affectedRows: 1 }]);
+  db.on(/SELECT id FROM Donations WHERE payment_intent_id/, [[{ id: 42 }]]);
+  db.on(/UPDATE receipts SET status = 'void'/, new Error('Lock wait timeout exceeded'));
+
+  const res = await deliver({ id: 'evt_4', type: 'charge.refunded', data: { paymentIntentId: 'pi_1' } });
+  assert.strictEqual(res.status, 500);
+  assert.ok(db.queries.some(q => /INSERT IGNORE INTO payment_events/.test(q.sql)));
+  assert.deepStrictEqual(db.transactions, ['begin', 'rollback']);
+});
@@ -0,0 +1,130 @@
+// backend/test/privacy.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+
+const { db, mail, signToken, startApp } = require('./helpers');
+const { processAccountDeletions } = require('../privacy');
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+beforeEach(() => db.reset());
+
+const account = {
+  id: 9, first_name: 'Sam', last_name: 'Lee', email: 'sam@example.org', role: 'donor', locale: null,
+  email_verified_at: new Date(), created_at: new Date(), deletion_requested_at: null, deletion_scheduled_at: null
+};
+
+test('the export holds the account, its records and its activity with personal diffs', async () => {
+  db.on(/FROM users WHERE id = \?/, [[account]]);
+  db.on(/FROM Donations WHERE email/, [[{ id: 4, amount: '25.00', currency: 'USD', payment_status: 'completed' }]]);
+  db.on(/FROM audit_log a LEFT JOIN audit_log_personal/, [[{
+    action: 'user.bio_updated', entity_type: 'user', entity_id: '9',
+    changes: { bio: { changed: true } }, personal_changes: { bio: { from: null, to: 'Hi' } },
+    ip: '127.0.0.1', user_agent: 'test-browser', created_at: new Date()
+  }]]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 1 }]);
+  db.on(/^\s*SELECT/, [[]]);
+
+  const res = await api.request('GET', '/api/me/export', { token: signToken({ userId: 9 }) });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-disposition'), /my-data\.json/);
+  assert.equal(res.body.account.email, 'sam@example.org');
+  assert.equal(res.body.donations[0].id, 4);
+  assert.deepEqual(res.body.activity[0].changes, { bio: { from: null, to: 'Hi' } });
+  assert.equal(res.body.activity[0].personal_changes, undefined);
+
+  const entry = db.queries.find(q => /INSERT INTO audit_log \(/.test(q.sql));
+  assert.equal(entry.params[2], 'user.data_exported');
+});
+
+test('records linked only by an unverified email are not exported', async () => {
+  db.on(/FROM users WHERE id = \?/, [[{ ...account, email_verified_at: null }]]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 1 }]);
+  db.on(/^\s*SELECT/, [[]]);
+
+  const res = await api.request('GET', '/api/me/export', { token: signToken({ userId: 9 }) });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.donations, res.body.subscriptions, res.body.receipts], [[], [], []]);
+  assert.equal(res.body.newsletter, null);
+  assert.ok(!db.queries.some(q => /FROM (Donations|subscriptions|receipts|subscribers) WHERE email/.test(q.sql)));
+
+  const volunteer = db.queries.find(q => /FROM volunteers/.test(q.sql));
+  assert.deepEqual(volunteer.params, [9, 'sam@example.org', false]);
+});
+
+test('deletion needs the password and is scheduled after the grace period', async () => {
+  const stored = { ...account, password: bcrypt.hashSync('right password', 4) };
+  db.on(/SELECT id, first_name, email, password, deletion_scheduled_at FROM users/, [[stored]]);
+
+  let res = await api.request('POST', '/api/me/deletion', { token: signToken({ userId: 9 }), body: { password: 'wrong' } });
+  assert.equal(res.status, 401);
+  assert.ok(!db.queries.some(q => /UPDATE users/.test(q.sql)));
+
+  const scheduledAt = new Date(Date.now() + 14 * 24 * 3600 * 1000);
+  db.on(/UPDATE users SET deletion_requested_at = NOW\(\)/, [{ affectedRows: 1 }]);
+  db.on(/SELECT deletion_requested_at, deletion_scheduled_at FROM users/, [[{ deletion_requested_at: new Date(), deletion_scheduled_at: scheduledAt }]]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 1 }]);
+
+  res = await api.request('POST', '/api/me/deletion', { token: signToken({ userId: 9 }), body: { password: 'right password' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.scheduled, true);
+  assert.deepEqual(db.queries.find(q => /SET deletion_requested_at = NOW\(\)/.test(q.sql)).params, [14, 9]);
+  assert.equal(mail.sent.length, 1);
+  assert.equal(mail.sent[0].to, 'sam@example.org');
+});
+
+test('a scheduled deletion can be cancelled', async () => {
+  db.on(/SELECT deletion_scheduled_at FROM users/, [[{ deletion_scheduled_at: new Date() }]]);
+  db.on(/SET deletion_requested_at = NULL/, [{ affectedRows: 1 }]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 1 }]);
+
+  const res = await api.request('DELETE', '/api/me/deletion', { token: signToken({ userId: 9 }) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.scheduled, false);
+  assert.deepEqual(db.queries.find(q => /SET deletion_requested_at = NULL/.test(q.sql)).params, [9]);
+});
+
+test('due accounts are deleted, keeping anonymized donations and the audit entries', async () => {
+  db.on(/WHERE deletion_scheduled_at IS NOT NULL/, [[{ id: 9 }]]);
+  db.on(/FOR UPDATE/, [[{ id: 9, email: 'sam@example.org', email_verified_at: new Date(), role: 'donor' }]]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 50 }]);
+  db.on(/^\s*(UPDATE|DELETE)/, [{ affectedRows: 1 }]);
+
+  await processAccountDeletions();
+
+  const donations = db.queries.find(q => /UPDATE Donations SET email/.test(q.sql));
+  assert.deepEqual(donations.params, ['deleted-user-9@anonymized.invalid', 'Deleted user', 'sam@example.org']);
+  assert.ok(db.queries.some(q => /DELETE FROM users WHERE id/.test(q.sql)));
+
+  const personal = db.queries.find(q => /DELETE p FROM audit_log_personal/.test(q.sql));
+  assert.deepEqual(personal.params, [9, '9']);
+  assert.ok(!db.queries.some(q => /(UPDATE|DELETE FROM) audit_log\b/.test(q.sql)), 'audit entries were rewritten');
+
+  const entry = db.queries.find(q => /INSERT INTO audit_log \(/.test(q.sql));
+  assert.deepEqual(entry.params.slice(0, 5), [null, null, 'user.deleted', 'user', '9']);
+});
+
+test('deleting an account with an unverified email leaves the records of whoever owns that email', async () => {
+  db.on(/WHERE deletion_scheduled_at IS NOT NULL/, [[{ id: 9 }]]);
+  db.on(/FOR UPDATE/, [[{ id: 9, email: 'sam@example.org', email_verified_at: null, role: 'donor' }]]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 50 }]);
+  db.on(/^\s*(UPDATE|DELETE)/, [{ affectedRows: 1 }]);
+
+  await processAccountDeletions();
+
+  assert.ok(db.queries.some(q => /DELETE FROM users WHERE id/.test(q.sql)));
+  assert.ok(!db.queries.some(q => /Donations|subscriptions|receipts|subscribers/.test(q.sql)));
+  const volunteers = db.queries.find(q => /DELETE FROM volunteers/.test(q.sql));
+  assert.deepEqual(volunteers.params, [9, 'sam@example.org', false]);
+});
+
+test('a cancelled deletion is not carried out', async () => {
+  db.on(/WHERE deletion_scheduled_at IS NOT NULL/, [[{ id: 9 }]]);
+  db.on(/FOR UPDATE/, [[]]);
+
+  await processAccountDeletions();
+
+  assert.ok(!db.queries.some(q => /^\s*(UPDATE|DELETE)/.test(q.sql)));
+});
@@ -0,0 +1,79 @@
+// backend/test/recurring.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PAYMENT_WEBHOOK_SECRET = 'whsec_test';
+
+const { db } = require('./helpers');
+const { addBillingPeriod, processDueSubscriptions } = require('../payments/recurring');
+
+beforeEach(() => db.reset());
+
+function day(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+test('clamps to the end of shorter months', () => {
+  assert.equal(day(addBillingPeriod(new Date(2025, 0, 31), 'monthly')), '2025-02-28');
+  assert.equal(day(addBillingPeriod(new Date(2024, 0, 31), 'monthly')), '2024-02-29');
+  assert.equal(day(addBillingPeriod(new Date(2025, 10, 30), 'quarterly')), '2026-02-28');
+});
+
+test('returns to the anchor day after a short month', () => {
+  let charge = new Date(2025, 0, 31);
+  const days = [];
+  for (let i = 0; i < 4; i++) {
+    charge = addBillingPeriod(charge, 'monthly', 31);
+    days.push(day(charge));
+  }
+  assert.deepEqual(days, ['2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31']);
+});
+
+test('keeps the time of day', () => {
+  const next = addBillingPeriod(new Date(2025, 4, 15, 9, 30), 'yearly', 15);
+  assert.equal(day(next), '2026-05-15');
+  assert.equal(next.getHours(), 9);
+  assert.equal(next.getMinutes(), 30);
+});
+
+const subscription = {
+  id: 7,
+  email: 'donor@example.org',
+  amount: '25.00',
+  currency: 'USD',
+  frequency: 'monthly',
+  payment_method_id: 'pm_mock_tok_visa_0123456789abcdef',
+  card_type: 'visa',
+  card_last_four: '4242',
+  cardholder_name: 'Dana Donor',
+  country: 'US'
+};
+
+test('picks up and reclaims charges claimed too long ago', async () => {
+  const stale = { ...subscription, charge_in_progress: 1, charge_claimed_at: new Date(Date.now() - 48 * 3600 * 1000) };
+  db.on(/SELECT \* FROM subscriptions/, [[stale]]);
+  db.on(/SET charge_in_progress = 1/, [{ affectedRows: 1 }]);
+  // Stop before anything reaches the provider
+  db.on(/INSERT INTO Donations/, new Error('database unavailable'));
+  db.on(/SET charge_in_progress = 0/, [{ affectedRows: 1 }]);
+
+  await processDueSubscriptions();
+
+  const [select, claim] = db.queries;
+  assert.match(select.sql, /charge_in_progress = 0 OR charge_claimed_at < DATE_SUB\(NOW\(\), INTERVAL \? HOUR\)/);
+  assert.deepEqual(select.params, [24]);
+  assert.match(claim.sql, /charge_claimed_at = NOW\(\)/);
+  assert.match(claim.sql, /charge_in_progress = 0 OR charge_claimed_at < DATE_SUB\(NOW\(\), INTERVAL \? HOUR\)/);
+  assert.deepEqual(claim.params, [7, 24]);
+  // The failed attempt releases the claim for the next run
+  assert.deepEqual(db.queries.at(-1).params, [7]);
+});
+
+test('does not charge a subscription another run has claimed', async () => {
+  db.on(/SELECT \* FROM subscriptions/, [[{ ...subscription, charge_in_progress: 0 }]]);
+  db.on(/SET charge_in_progress = 1/, [{ affectedRows: 0 }]);
+
+  await processDueSubscriptions();
+
+  assert.equal(db.queries.length, 2);
+});
@@ -0,0 +1,59 @@
+// backend/test/reports.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, signToken, startApp } = require('./helpers');
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+beforeEach(() => db.reset());
+
+const admin = () => signToken({ role: 'admin' });
+
+function donationRows(label = '2025-01') {
+  db.on(/GROUP BY group_key/, [[
+    { group_key: '2025-01', label, amount: '150.00', count: 3, donors: 2, new_donors: '1' }
+  ]]);
+  db.on(/FROM Donations d/, [[{ amount: '150.00', count: 3, donors: 2, new_donors: '1' }]]);
+}
+
+test('donations by month count new and returning donors', async () => {
+  donationRows();
+
+  const res = await api.request('GET', '/api/admin/reports/donations?groupBy=month&from=2025-01-01&to=2025-01-31', { token: admin() });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.rows[0], {
+    group_key: '2025-01', label: '2025-01', amount: 150, count: 3, average: 50, donors: 2, new_donors: 1, returning_donors: 1
+  });
+  assert.equal(res.body.totals.average, 50);
+
+  const report = db.queries.find(q => /GROUP BY group_key/.test(q.sql));
+  assert.match(report.sql, /d\.payment_status = 'completed'/);
+  assert.deepEqual(report.params, ['2025-01-01', '2025-01-31']);
+});
+
+test('donations as CSV, with formula-like labels defused', async () => {
+  donationRows('=HYPERLINK("http://example.org")');
+
+  const res = await api.request('GET', '/api/admin/reports/donations?groupBy=campaign&format=csv', { token: admin() });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/csv/);
+  assert.match(res.headers.get('content-disposition'), /donations-by-campaign\.csv/);
+
+  const [header, row] = res.text.split('\r\n');
+  assert.equal(header, 'group_key,label,amount,count,average,donors,new_donors,returning_donors');
+  assert.equal(row, '2025-01,"\'=HYPERLINK(""http://example.org"")",150,3,50,2,1,1');
+});
+
+test('an empty date range is refused before anything is read', async () => {
+  const res = await api.request('GET', '/api/admin/reports/blogs?from=2025-02-01&to=2025-01-01', { token: admin() });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'VALIDATION_ERROR');
+  assert.ok(!db.queries.some(q => /blog/.test(q.sql)));
+});
+
+test('reports are for admins only', async () => {
+  const res = await api.request('GET', '/api/admin/reports/donations', { token: signToken({ role: 'editor' }) });
+  assert.equal(res.status, 403);
+});
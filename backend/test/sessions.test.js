@@ -0,0 +1,123 @@
+// backend/test/sessions.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const { db, signToken, startApp } = require('./helpers');
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+beforeEach(() => db.reset());
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+const inAnHour = () => new Date(Date.now() + 3600 * 1000);
+
+function refreshRow(overrides = {}) {
+  return {
+    id: 5,
+    used_at: null,
+    expires_at: inAnHour(),
+    session_id: 'session-1',
+    revoked_at: null,
+    session_expires_at: inAnHour(),
+    user_id: 1,
+    email: 'user@example.org',
+    role: 'donor',
+    ...overrides
+  };
+}
+
+test('a refresh token is swapped for a new pair and cannot be used again', async () => {
+  db.on(/FROM refresh_tokens rt/, [[refreshRow()]]);
+  db.on(/UPDATE refresh_tokens SET used_at/, [{ affectedRows: 1 }]);
+  db.on(/UPDATE sessions SET last_used_at/, [{ affectedRows: 1 }]);
+  db.on(/INSERT INTO refresh_tokens/, [{ affectedRows: 1 }]);
+
+  const res = await api.request('POST', '/api/token/refresh', { body: { refreshToken: 'old-token' } });
+  assert.equal(res.status, 200);
+  assert.notEqual(res.body.refreshToken, 'old-token');
+  assert.equal(jwt.decode(res.body.token).sid, 'session-1');
+
+  assert.deepEqual(db.queries.find(q => /FROM refresh_tokens rt/.test(q.sql)).params, [hash('old-token')]);
+  assert.deepEqual(db.queries.find(q => /SET used_at/.test(q.sql)).params, [5]);
+  const inserted = db.queries.find(q => /INSERT INTO refresh_tokens/.test(q.sql));
+  assert.deepEqual(inserted.params.slice(0, 2), ['session-1', hash(res.body.refreshToken)]);
+});
+
+test('reusing a rotated refresh token revokes the whole session', async () => {
+  db.on(/FROM refresh_tokens rt/, [[refreshRow({ used_at: new Date() })]]);
+  db.on(/UPDATE sessions SET revoked_at/, [{ affectedRows: 1 }]);
+
+  const res = await api.request('POST', '/api/token/refresh', { body: { refreshToken: 'stolen-token' } });
+  assert.equal(res.status, 401);
+
+  const revoke = db.queries.find(q => /UPDATE sessions SET revoked_at/.test(q.sql));
+  assert.match(revoke.sql, /refresh_token_reuse/);
+  assert.deepEqual(revoke.params, ['session-1']);
+  assert.ok(!db.queries.some(q => /INSERT INTO refresh_tokens/.test(q.sql)));
+});
+
+test('an expired or unknown refresh token is refused', async () => {
+  db.on(/FROM refresh_tokens rt/, [[refreshRow({ expires_at: new Date(Date.now() - 1000) })]]);
+  let res = await api.request('POST', '/api/token/refresh', { body: { refreshToken: 'expired-token' } });
+  assert.equal(res.status, 401);
+
+  db.reset();
+  db.on(/FROM refresh_tokens rt/, [[]]);
+  res = await api.request('POST', '/api/token/refresh', { body: { refreshToken: 'unknown-token' } });
+  assert.equal(res.status, 401);
+});
+
+test('logout revokes the session of the access token', async () => {
+  const token = signToken();
+  db.on(/UPDATE sessions SET revoked_at/, [{ affectedRows: 1 }]);
+
+  const res = await api.request('POST', '/api/logout', { token, body: {} });
+  assert.equal(res.status, 200);
+
+  const revoke = db.queries.find(q => /UPDATE sessions SET revoked_at/.test(q.sql));
+  assert.deepEqual(revoke.params, ['logout', jwt.decode(token).sid]);
+});
+
+test('logout also works with just the refresh token', async () => {
+  db.on(/SELECT session_id FROM refresh_tokens/, [[{ session_id: 'session-2' }]]);
+  db.on(/UPDATE sessions SET revoked_at/, [{ affectedRows: 1 }]);
+
+  const res = await api.request('POST', '/api/logout', { body: { refreshToken: 'some-token' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(db.queries.at(-1).params, ['logout', 'session-2']);
+});
+
+test('access tokens of a revoked session are rejected', async () => {
+  const token = jwt.sign({ userId: 1, email: 'user@example.org', role: 'donor', sid: 'revoked-session' }, process.env.JWT_SECRET);
+
+  const res = await api.request('POST', '/api/logout-all', { token });
+  assert.equal(res.status, 403);
+});
+
+test('the role comes from the account, not the token', async () => {
+  const res = await api.request('GET', '/api/admin/reports/donations', { token: signToken({ role: 'donor', tokenRole: 'admin' }) });
+  assert.equal(res.status, 403);
+  assert.ok(!db.queries.some(q => /Donations/.test(q.sql)));
+});
+
+const resetAnswer = 'If an account exists for that email, a reset link has been sent';
+
+test('a password reset answers the same for an unknown email', async () => {
+  db.on(/FROM users WHERE email = \?/, [[]]);
+
+  const res = await api.request('POST', '/api/forgot-password', { body: { email: 'nobody@example.org' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message, resetAnswer);
+});
+
+test('a password reset answers the same when the link cannot be sent', async () => {
+  db.on(/FROM users WHERE email = \?/, [[{ id: 5, first_name: 'Sam', email: 'sam@example.org' }]]);
+  db.on(/user_tokens/, new Error('Lock wait timeout exceeded'));
+
+  const res = await api.request('POST', '/api/forgot-password', { body: { email: 'sam@example.org' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message, resetAnswer);
+});
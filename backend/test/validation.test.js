@@ -0,0 +1,55 @@
+// backend/test/validation.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, signToken, startApp } = require('./helpers');
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+beforeEach(() => db.reset());
+
+const signup = {
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.org',
+  password: 'correct horse',
+  confirmPassword: 'correct horse'
+};
+
+test('invalid fields are reported one message per field', async () => {
+  const res = await api.request('POST', '/api/signup', {
+    body: { ...signup, firstName: '   ', email: 'not-an-email', password: undefined }
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'VALIDATION_ERROR');
+  assert.deepEqual(res.body.fields, {
+    firstName: 'must not be blank',
+    email: 'must be a valid email address',
+    password: 'is required'
+  });
+  assert.equal(db.queries.length, 0);
+});
+
+test('a body that is not JSON is a client error', async () => {
+  const res = await api.request('POST', '/api/signup', { body: '{"firstName":' });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body, { error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+});
+
+test('database errors caused by the request map to client errors', async () => {
+  const duplicate = Object.assign(new Error("Duplicate entry 'ada@example.org' for key 'email'"), { code: 'ER_DUP_ENTRY' });
+  db.on(/SELECT \* FROM users WHERE email/, [[]]);
+  db.on(/INSERT INTO users/, duplicate);
+
+  const res = await api.request('POST', '/api/signup', { body: signup });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'DUPLICATE_ENTRY');
+});
+
+test('a blog slug cannot be all digits, since it would be read as an id', async () => {
+  const res = await api.request('PUT', '/api/blogs/7', { token: signToken({ role: 'editor' }), body: { slug: '2024' } });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.fields, { slug: 'must not be only digits' });
+  assert.ok(!db.queries.some(q => /blogs/.test(q.sql)));
+});
@@ -0,0 +1,180 @@
+// backend/test/volunteering.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, signToken, startApp } = require('./helpers');
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+beforeEach(() => db.reset());
+
+const tomorrow = () => new Date(Date.now() + 24 * 3600 * 1000);
+
+function openShift({ capacity = 2, confirmed = 0 } = {}) {
+  db.on(/FROM opportunity_shifts s\s+JOIN opportunities o/, [[{ id: 3, capacity, starts_at: tomorrow() }]]);
+  db.on(/SELECT status FROM shift_signups/, [[]]);
+  db.on(/COUNT\(\*\) AS confirmed FROM shift_signups/, [[{ confirmed }]]);
+  db.on(/INSERT INTO shift_signups/, [{ affectedRows: 1 }]);
+}
+
+test('signing up for a shift with room confirms the spot', async () => {
+  openShift({ capacity: 2, confirmed: 1 });
+
+  const res = await api.request('POST', '/api/shifts/3/signup', { token: signToken({ userId: 9 }) });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.status, 'confirmed');
+  assert.deepEqual(db.queries.find(q => /INSERT INTO shift_signups/.test(q.sql)).params, [3, 9, 'confirmed']);
+});
+
+test('signing up for a full shift joins the waitlist', async () => {
+  openShift({ capacity: 2, confirmed: 2 });
+
+  const res = await api.request('POST', '/api/shifts/3/signup', { token: signToken({ userId: 9 }) });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.status, 'waitlisted');
+  assert.deepEqual(db.queries.find(q => /INSERT INTO shift_signups/.test(q.sql)).params, [3, 9, 'waitlisted']);
+});
+
+test('a volunteer cannot sign up twice', async () => {
+  db.on(/FROM opportunity_shifts s\s+JOIN opportunities o/, [[{ id: 3, capacity: 2, starts_at: tomorrow() }]]);
+  db.on(/SELECT status FROM shift_signups/, [[{ status: 'waitlisted' }]]);
+
+  const res = await api.request('POST', '/api/shifts/3/signup', { token: signToken({ userId: 9 }) });
+  assert.equal(res.status, 409);
+});
+
+test('withdrawing promotes the first waitlisted volunteers into the open spots', async () => {
+  db.on(/SELECT id FROM opportunity_shifts WHERE id = \? FOR UPDATE/, [[{ id: 3 }]]);
+  db.on(/SET status = 'withdrawn'/, [{ affectedRows: 1 }]);
+  db.on(/SELECT s.capacity/, [[{ capacity: 2, confirmed_count: 1 }]]);
+  db.on(/SET status = 'confirmed'/, [{ affectedRows: 1 }]);
+
+  const res = await api.request('DELETE', '/api/shifts/3/signup', { token: signToken({ userId: 9 }) });
+  assert.equal(res.status, 200);
+
+  const promote = db.queries.find(q => /SET status = 'confirmed'/.test(q.sql));
+  assert.match(promote.sql, /status = 'waitlisted'\s+ORDER BY queued_at, id\s+LIMIT \?/);
+  assert.deepEqual(promote.params, [3, 1]);
+});
+
+test('withdrawing from a shift that is still full promotes nobody', async () => {
+  db.on(/SELECT id FROM opportunity_shifts WHERE id = \? FOR UPDATE/, [[{ id: 3 }]]);
+  db.on(/SET status = 'withdrawn'/, [{ affectedRows: 1 }]);
+  db.on(/SELECT s.capacity/, [[{ capacity: 2, confirmed_count: 2 }]]);
+
+  const res = await api.request('DELETE', '/api/shifts/3/signup', { token: signToken({ userId: 9 }) });
+  assert.equal(res.status, 200);
+  assert.ok(!db.queries.some(q => /SET status = 'confirmed'/.test(q.sql)));
+});
+
+function application(status) {
+  db.on(/FROM volunteer_applications a\s+JOIN volunteers v/, [[{
+    id: 4, status, volunteer_id: 2, interest_area: 'events', first_name: 'Vic', email: 'vic@example.org'
+  }]]);
+}
+
+test('reviewing an application records the change in its history', async () => {
+  application('under_review');
+  db.on(/UPDATE volunteer_applications/, [{ affectedRows: 1 }]);
+  db.on(/INSERT INTO volunteer_application_history/, [{ affectedRows: 1 }]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 1 }]);
+
+  const res = await api.request('PUT', '/api/admin/volunteer-applications/4/status', {
+    token: signToken({ userId: 1, role: 'admin' }),
+    body: { status: 'approved', notes: 'Great fit' }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'approved');
+
+  const update = db.queries.find(q => /UPDATE volunteer_applications/.test(q.sql));
+  assert.deepEqual(update.params, ['approved', 'Great fit', 1, true, 4]);
+  const history = db.queries.find(q => /INSERT INTO volunteer_application_history/.test(q.sql));
+  assert.deepEqual(history.params, [4, 'under_review', 'approved', 'Great fit', 1]);
+});
+
+test('a closed application cannot be reopened', async () => {
+  application('rejected');
+
+  const res = await api.request('PUT', '/api/admin/volunteer-applications/4/status', {
+    token: signToken({ userId: 1, role: 'admin' }),
+    body: { status: 'approved' }
+  });
+  assert.equal(res.status, 409);
+  assert.ok(!db.queries.some(q => /UPDATE volunteer_applications/.test(q.sql)));
+});
+
+test('application statuses are checked before anything is read', async () => {
+  const res = await api.request('PUT', '/api/admin/volunteer-applications/4/status', {
+    token: signToken({ userId: 1, role: 'admin' }),
+    body: { status: 'hired' }
+  });
+  assert.equal(res.status, 400);
+  assert.ok(!db.queries.some(q => /volunteer_applications/.test(q.sql)));
+});
+
+test('only admins review applications', async () => {
+  const res = await api.request('PUT', '/api/admin/volunteer-applications/4/status', {
+    token: signToken({ role: 'editor' }),
+    body: { status: 'approved' }
+  });
+  assert.equal(res.status, 403);
+});
+
+test('hours logged by hand wait for approval', async () => {
+  db.on(/SELECT \* FROM volunteers WHERE user_id/, [[{ id: 2, user_id: 9 }]]);
+  db.on(/INSERT INTO volunteer_hours/, [{ insertId: 11 }]);
+
+  const res = await api.request('POST', '/api/me/volunteer-hours', {
+    token: signToken({ userId: 9 }),
+    body: { date: '2025-03-01', hours: 3.5, description: 'Food bank sorting' }
+  });
+  assert.equal(res.status, 201);
+  assert.deepEqual(res.body, { message: 'Hours submitted for approval', id: 11, status: 'pending' });
+  assert.deepEqual(db.queries.find(q => /INSERT INTO volunteer_hours/.test(q.sql)).params,
+    [2, null, '2025-03-01', 3.5, 'Food bank sorting']);
+});
+
+test('an hour entry is only reviewed while it is pending', async () => {
+  db.on(/UPDATE volunteer_hours SET status/, [{ affectedRows: 1 }]);
+  db.on(/INSERT INTO audit_log/, [{ insertId: 1 }]);
+  let res = await api.request('PUT', '/api/admin/volunteer-hours/11/status', {
+    token: signToken({ userId: 1, role: 'admin' }),
+    body: { status: 'approved' }
+  });
+  assert.equal(res.status, 200);
+  const update = db.queries.find(q => /UPDATE volunteer_hours SET status/.test(q.sql));
+  assert.match(update.sql, /AND status = 'pending'/);
+  assert.deepEqual(update.params, ['approved', null, 1, 11]);
+
+  // Already approved or rejected
+  db.reset();
+  db.on(/UPDATE volunteer_hours SET status/, [{ affectedRows: 0 }]);
+  res = await api.request('PUT', '/api/admin/volunteer-hours/11/status', {
+    token: signToken({ userId: 1, role: 'admin' }),
+    body: { status: 'rejected' }
+  });
+  assert.equal(res.status, 404);
+});
+
+test('hour entries can only be approved or rejected', async () => {
+  const res = await api.request('PUT', '/api/admin/volunteer-hours/11/status', {
+    token: signToken({ userId: 1, role: 'admin' }),
+    body: { status: 'pending' }
+  });
+  assert.equal(res.status, 400);
+});
+
+test('checking out counts hours up to the shift end and holds late check-outs for approval', async () => {
+  db.on(/SELECT \* FROM volunteers WHERE user_id/, [[{ id: 2, user_id: 9 }]]);
+  db.on(/UPDATE volunteer_hours h/, [{ affectedRows: 1 }]);
+  db.on(/SELECT \* FROM volunteer_hours WHERE volunteer_id/, [[{ id: 11, hours: '3.00', status: 'pending' }]]);
+
+  const res = await api.request('POST', '/api/shifts/3/check-out', { token: signToken({ userId: 9 }) });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { message: 'Checked out', id: 11, hours: 3, status: 'pending' });
+
+  const update = db.queries.find(q => /UPDATE volunteer_hours h/.test(q.sql));
+  assert.match(update.sql, /LEAST\(NOW\(\), s\.ends_at\)/);
+  assert.deepEqual(update.params, [60, 2, 3]);
+});
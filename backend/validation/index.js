@@ -0,0 +1,112 @@
+// backend/validation/index.js
+// Request validation. Routes declare JSON Schemas for the parts of the request
+// they read and put validate() in front of the handler:
+//   app.post('/api/things/:id', validate({ params, query, body }), handler)
+// Values are coerced to the declared types ("5" -> 5) and defaults are filled
+// in, so handlers can use req.params/query/body as-is.
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ApiError } = require('../errors');
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true });
+addFormats(ajv);
+
+const FORMAT_MESSAGES = {
+  email: 'must be a valid email address',
+  date: 'must be a date in YYYY-MM-DD format',
+  'iso-date-time': 'must be a valid date-time',
+  uri: 'must be a valid URL'
+};
+
+function describe(error) {
+  const { params } = error;
+  switch (error.keyword) {
+    case 'required':
+      return 'is required';
+    case 'type':
+      if (params.type === 'integer') return 'must be a whole number';
+      if (params.type === 'number') return 'must be a number';
+      if (params.type === 'string') return 'must be text';
+      return `must be of type ${params.type}`;
+    case 'format':
+      return FORMAT_MESSAGES[params.format] || `must be a valid ${params.format}`;
+    case 'minLength':
+      return params.limit === 1 ? 'must not be empty' : `must be at least ${params.limit} characters`;
+    case 'maxLength':
+      return `must be at most ${params.limit} characters`;
+    case 'pattern':
+      if (params.pattern === '\\S') return 'must not be blank';
+      if (params.pattern === '\\D') return 'must not be only digits';
+      return 'has an invalid format';
+    case 'enum':
+      return `must be one of: ${params.allowedValues.join(', ')}`;
+    case 'minimum':
+      return `must be at least ${params.limit}`;
+    case 'maximum':
+      return `must be at most ${params.limit}`;
+    case 'exclusiveMinimum':
+      return `must be greater than ${params.limit}`;
+    case 'minItems':
+      return `must have at least ${params.limit} item${params.limit === 1 ? '' : 's'}`;
+    case 'maxItems':
+      return `must have at most ${params.limit} items`;
+    case 'uniqueItems':
+      return 'must not contain duplicates';
+    case 'false schema':
+      return 'must not be sent';
+    default:
+      return error.message;
+  }
+}
+
+// Per-field messages, first error per field wins
+function collectFieldErrors(errors) {
+  const fields = {};
+  for (const error of errors) {
+    const path = error.instancePath.split('/').slice(1);
+    if (error.keyword === 'required') {
+      path.push(error.params.missingProperty);
+    }
+    const field = path.join('.') || 'body';
+    if (!fields[field]) {
+      fields[field] = describe(error);
+    }
+  }
+  return fields;
+}
+
+function validate(schema) {
+  const validators = {};
+  for (const part of ['params', 'query', 'body']) {
+    if (schema[part]) {
+      validators[part] = ajv.compile(schema[part]);
+    }
+  }
+
+  const middleware = (req, res, next) => {
+    const fields = {};
+
+    for (const [part, check] of Object.entries(validators)) {
+      // A missing JSON body still has to satisfy `required`
+      const data = req[part] === undefined ? {} : req[part];
+      if (check(data)) {
+        // req.query is a getter in Express 5, so the coerced copy is pinned on the request
+        Object.defineProperty(req, part, { value: data, writable: true, configurable: true, enumerable: true });
+      } else {
+        Object.assign(fields, collectFieldErrors(check.errors));
+      }
+    }
+
+    const [first] = Object.entries(fields);
+    if (first) {
+      return next(new ApiError(400, 'VALIDATION_ERROR', `${first[0]} ${first[1]}`, fields));
+    }
+    next();
+  };
+
+  // Kept on the middleware so the route table can be described from it
+  middleware.schema = schema;
+  return middleware;
+}
+
+module.exports = { validate };
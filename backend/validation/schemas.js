@@ -0,0 +1,500 @@
+// backend/validation/schemas.js
+// Request schemas of every route that takes input, keyed by route.
+// Limits follow the column sizes in the database schema.
+
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../currency');
+
+// Building blocks
+const id = { type: 'integer', minimum: 1 };
+const email = { type: 'string', format: 'email', maxLength: 100 };
+const password = { type: 'string', minLength: 8, maxLength: 72 };
+const date = { type: 'string', format: 'date' };
+const dateTime = { type: 'string', format: 'iso-date-time' };
+const amount = { type: 'number', exclusiveMinimum: 0, maximum: 99999999.99 };
+
+// Non-blank text of at most `maxLength` characters
+function text(maxLength) {
+  return { type: 'string', minLength: 1, maxLength, pattern: '\\S' };
+}
+
+function nullable(schema) {
+  return { ...schema, nullable: true };
+}
+
+function object(properties, required = []) {
+  return { type: 'object', properties, required };
+}
+
+function pagination(defaultLimit, maxLimit) {
+  return {
+    page: { type: 'integer', minimum: 1, default: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit }
+  };
+}
+
+const idParams = object({ id }, ['id']);
+
+// Auth and account
+const signup = {
+  body: object({
+    firstName: text(50),
+    lastName: text(50),
+    email,
+    password,
+    confirmPassword: { type: 'string' }
+  }, ['firstName', 'lastName', 'email', 'password', 'confirmPassword'])
+};
+
+const login = {
+  body: object({
+    email: { type: 'string', minLength: 1, maxLength: 100 },
+    password: { type: 'string', minLength: 1, maxLength: 72 }
+  }, ['email', 'password'])
+};
+
+const refreshToken = { type: 'string', minLength: 1, maxLength: 200 };
+
+const tokenRefresh = { body: object({ refreshToken }, ['refreshToken']) };
+
+const logout = { body: object({ refreshToken }) };
+
+const verifyEmail = { body: object({ token: text(200) }, ['token']) };
+
+const emailOnly = { body: object({ email }, ['email']) };
+
+const unlockAccount = { body: object({ token: text(200) }, ['token']) };
+
+const resetPassword = {
+  body: object({ token: text(200), newPassword: password }, ['token', 'newPassword'])
+};
+
+const updateBio = {
+  body: object({ bio: { type: 'string', maxLength: 5000 } }, ['bio'])
+};
+
+const updateLocale = {
+  body: object({ locale: nullable({ type: 'string', minLength: 2, maxLength: 35 }) }, ['locale'])
+};
+
+const changePassword = {
+  body: object({
+    currentPassword: { type: 'string', minLength: 1, maxLength: 72 },
+    newPassword: password
+  }, ['currentPassword', 'newPassword'])
+};
+
+const requestAccountDeletion = {
+  body: object({ password: { type: 'string', minLength: 1, maxLength: 72 } }, ['password'])
+};
+
+// Blogs
+const blogIdParams = object({ id: text(255) }, ['id']);
+
+const blogBody = {
+  title: text(255),
+  description: text(5000),
+  content: nullable({ type: 'string' }),
+  category: text(50),
+  image_url: nullable({ type: 'string', maxLength: 255 }),
+  // All digits would be read as an id
+  slug: { type: 'string', maxLength: 200, pattern: '\\D' },
+  status: { type: 'string', enum: ['draft', 'published', 'scheduled'] },
+  publish_at: nullable(dateTime)
+};
+
+const listBlogs = {
+  query: object({
+    ...pagination(10, 50),
+    category: { type: 'string', maxLength: 50 },
+    from: date,
+    to: date,
+    q: { type: 'string', maxLength: 200 },
+    sort: { type: 'string', enum: ['date', 'rating', 'relevance'] },
+    order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' }
+  })
+};
+
+const listAdminBlogs = {
+  query: object({ status: blogBody.status })
+};
+
+const blogById = { params: blogIdParams };
+
+const createBlog = {
+  body: object(blogBody, ['title', 'description', 'category'])
+};
+
+const updateBlog = { params: blogIdParams, body: object(blogBody) };
+
+const restoreBlogRevision = {
+  params: object({ id: text(255), revisionId: id }, ['id', 'revisionId'])
+};
+
+// Blog reviews
+const reviewBody = object({
+  rating: { type: 'integer', minimum: 1, maximum: 5 },
+  comment: nullable({ type: 'string', maxLength: 2000 })
+}, ['rating']);
+
+const reviewParams = object({ id: text(255), reviewId: id }, ['id', 'reviewId']);
+
+const createReview = { params: blogIdParams, body: reviewBody };
+
+const updateReview = { params: reviewParams, body: reviewBody };
+
+const deleteReview = { params: reviewParams };
+
+const listReviews = {
+  query: object({
+    ...pagination(20, 100),
+    status: { type: 'string', enum: ['pending', 'approved', 'hidden'], default: 'pending' }
+  })
+};
+
+const moderateReview = {
+  params: idParams,
+  body: object({ status: { type: 'string', enum: ['approved', 'hidden'] } }, ['status'])
+};
+
+// Donations and receipts
+const createDonation = {
+  body: object({
+    amount,
+    currency: { type: 'string', enum: SUPPORTED_CURRENCIES, default: BASE_CURRENCY },
+    frequency: { type: 'string', enum: ['one-time', 'monthly', 'quarterly', 'yearly'], default: 'one-time' },
+    email: { type: 'string', format: 'email', maxLength: 255 },
+    paymentToken: text(255),
+    cardholderName: text(255),
+    country: text(100),
+    campaignId: nullable(id),
+    // Card details are tokenized by the payment provider and must never reach us
+    cardInfo: false
+  }, ['amount', 'email', 'paymentToken', 'cardholderName', 'country'])
+};
+
+const annualStatement = {
+  params: object({ year: { type: 'integer', minimum: 2000 } }, ['year'])
+};
+
+const listOwnDonations = {
+  query: object({
+    from: date,
+    to: date,
+    format: { type: 'string', enum: ['json', 'csv'], default: 'json' }
+  })
+};
+
+const updateSubscription = {
+  params: idParams,
+  body: object({ amount }, ['amount'])
+};
+
+// Campaigns
+const campaignBody = {
+  title: text(255),
+  description: text(5000),
+  goal_amount: { type: 'number', exclusiveMinimum: 0, maximum: 9999999999.99 },
+  start_date: date,
+  end_date: nullable(date),
+  status: { type: 'string', enum: ['draft', 'active', 'completed', 'cancelled'] },
+  image_url: nullable({ type: 'string', maxLength: 255 })
+};
+
+const createCampaign = {
+  body: object(campaignBody, ['title', 'description', 'goal_amount', 'start_date'])
+};
+
+const updateCampaign = { params: idParams, body: object(campaignBody) };
+
+// Volunteer opportunities and shifts
+const opportunityBody = {
+  title: text(255),
+  desc: text(5000),
+  time: text(255),
+  location: text(255),
+  status: { type: 'string', enum: ['active', 'archived'] }
+};
+
+const listOpportunities = {
+  query: object({ location: { type: 'string', maxLength: 255 }, from: date, to: date })
+};
+
+const createOpportunity = {
+  body: object(opportunityBody, ['title', 'desc', 'time', 'location'])
+};
+
+const updateOpportunity = { params: idParams, body: object(opportunityBody) };
+
+const shiftBody = {
+  starts_at: dateTime,
+  ends_at: dateTime,
+  capacity: { type: 'integer', minimum: 1, maximum: 10000 },
+  location: nullable({ type: 'string', maxLength: 255 })
+};
+
+const createShift = {
+  params: idParams,
+  body: object(shiftBody, ['starts_at', 'ends_at', 'capacity'])
+};
+
+const updateShift = { params: idParams, body: object(shiftBody) };
+
+// Volunteer applications
+const applyToVolunteer = {
+  body: object({
+    firstName: text(50),
+    lastName: text(50),
+    email,
+    phone: { type: 'string', minLength: 5, maxLength: 20, pattern: '^[0-9+()\\-. ]+$' },
+    interest: text(50),
+    availability: text(2000),
+    experience: nullable({ type: 'string', maxLength: 5000 })
+  }, ['firstName', 'lastName', 'email', 'phone', 'interest', 'availability'])
+};
+
+const listApplications = {
+  query: object({
+    ...pagination(20, 100),
+    status: { type: 'string', enum: ['submitted', 'under_review', 'approved', 'rejected', 'withdrawn'] },
+    interest: { type: 'string', maxLength: 50 },
+    q: { type: 'string', maxLength: 100 }
+  })
+};
+
+const updateApplicationStatus = {
+  params: idParams,
+  body: object({
+    status: listApplications.query.properties.status,
+    notes: nullable({ type: 'string', maxLength: 5000 })
+  }, ['status'])
+};
+
+// Volunteer hours
+const logHours = {
+  body: object({
+    date,
+    hours: { type: 'number', exclusiveMinimum: 0, maximum: 24 },
+    description: text(2000),
+    opportunityId: nullable(id)
+  }, ['date', 'hours', 'description'])
+};
+
+const hoursCertificate = {
+  query: object({ from: date, to: date }, ['from', 'to'])
+};
+
+const listHours = {
+  query: object({
+    ...pagination(20, 100),
+    status: { type: 'string', enum: ['pending', 'approved', 'rejected'], default: 'pending' }
+  })
+};
+
+const hoursSummary = {
+  query: object({
+    groupBy: { type: 'string', enum: ['volunteer', 'program'], default: 'volunteer' },
+    from: date,
+    to: date
+  })
+};
+
+const reviewHours = {
+  params: idParams,
+  body: object({
+    status: { type: 'string', enum: ['approved', 'rejected'] },
+    notes: nullable({ type: 'string', maxLength: 5000 })
+  }, ['status'])
+};
+
+// Newsletter
+const topics = { type: 'array', items: text(50), maxItems: 50, uniqueItems: true };
+
+const subscriberToken = text(200);
+
+const subscribe = {
+  body: object({ email, topics: { ...topics, default: [] } }, ['email'])
+};
+
+const confirmSubscription = { body: object({ token: text(200) }, ['token']) };
+
+const subscriberPreferences = { query: object({ token: subscriberToken }, ['token']) };
+
+const updateSubscriberPreferences = {
+  body: object({ token: subscriberToken, topics }, ['token', 'topics'])
+};
+
+const listSubscribers = {
+  query: object({
+    ...pagination(50, 200),
+    status: { type: 'string', enum: ['pending', 'active', 'unsubscribed'] },
+    topic: { type: 'string', maxLength: 50 }
+  })
+};
+
+// Posts are either picked (blogIds) or the latest published within recentDays
+const issueBody = {
+  subject: text(255),
+  intro: text(5000),
+  blogIds: { type: 'array', items: id, maxItems: 20, uniqueItems: true },
+  recentDays: { type: 'integer', minimum: 1, maximum: 90 }
+};
+
+const createIssue = {
+  body: object(issueBody, ['subject', 'intro'])
+};
+
+const updateIssue = { params: idParams, body: object(issueBody) };
+
+const listDeliveries = {
+  params: idParams,
+  query: object({
+    ...pagination(50, 200),
+    status: { type: 'string', enum: ['queued', 'sending', 'sent', 'failed', 'skipped'] }
+  })
+};
+
+// Assistance requests and cases
+const NEED_TYPES = ['food', 'shelter', 'education', 'health', 'financial', 'other'];
+const CASE_STATUSES = ['new', 'in_review', 'in_progress', 'on_hold', 'resolved', 'declined', 'closed'];
+
+const createAssistanceRequest = {
+  body: object({
+    needType: { type: 'string', enum: NEED_TYPES },
+    householdSize: { type: 'integer', minimum: 1, maximum: 50 },
+    location: text(100),
+    name: text(100),
+    phone: nullable({ type: 'string', minLength: 5, maxLength: 20, pattern: '^[0-9+()\\-. ]+$' }),
+    email: nullable(email),
+    address: nullable({ type: 'string', maxLength: 255 }),
+    details: nullable({ type: 'string', maxLength: 5000 })
+  }, ['needType', 'householdSize', 'location', 'name'])
+};
+
+const listCases = {
+  query: object({
+    ...pagination(20, 100),
+    status: { type: 'string', enum: CASE_STATUSES },
+    needType: { type: 'string', enum: NEED_TYPES },
+    // A user id, "me" or "none" (unassigned)
+    assignedTo: { type: 'string', pattern: '^(me|none|[1-9][0-9]*)$' },
+    location: { type: 'string', maxLength: 100 },
+    followUpBefore: date
+  })
+};
+
+const updateCaseStatus = {
+  params: idParams,
+  body: object({
+    status: { type: 'string', enum: CASE_STATUSES },
+    note: nullable({ type: 'string', maxLength: 5000 })
+  }, ['status'])
+};
+
+const updateCase = {
+  params: idParams,
+  body: object({ assignedTo: nullable(id), followUpDate: nullable(date) })
+};
+
+const addCaseNote = { params: idParams, body: object({ note: text(5000) }, ['note']) };
+
+// Audit log
+const listOwnActivity = { query: object(pagination(20, 100)) };
+
+const listAuditLog = {
+  query: object({
+    ...pagination(50, 200),
+    actorId: id,
+    action: { type: 'string', maxLength: 50 },
+    entityType: { type: 'string', maxLength: 50 },
+    entityId: { type: 'string', maxLength: 50 },
+    from: date,
+    to: date
+  })
+};
+
+// Admin: reports (inclusive date ranges; ?format=csv downloads the rows)
+function report(groups, defaultGroup) {
+  return {
+    query: object({
+      groupBy: { type: 'string', enum: groups, default: defaultGroup },
+      from: date,
+      to: date,
+      format: { type: 'string', enum: ['json', 'csv'], default: 'json' }
+    })
+  };
+}
+
+const donationReport = report(['day', 'week', 'month', 'country', 'frequency', 'campaign'], 'month');
+const volunteerReport = report(['interest_area', 'month'], 'interest_area');
+const blogReport = report(['post', 'category'], 'post');
+
+// Admin: users
+const grantRole = {
+  params: idParams,
+  body: object({ role: { type: 'string', enum: ['admin', 'editor', 'donor', 'caseworker'] } }, ['role'])
+};
+
+module.exports = {
+  byId: { params: idParams },
+  signup,
+  login,
+  tokenRefresh,
+  logout,
+  verifyEmail,
+  emailOnly,
+  resetPassword,
+  unlockAccount,
+  updateBio,
+  updateLocale,
+  changePassword,
+  requestAccountDeletion,
+  listBlogs,
+  listAdminBlogs,
+  blogById,
+  createBlog,
+  updateBlog,
+  restoreBlogRevision,
+  createReview,
+  updateReview,
+  deleteReview,
+  listReviews,
+  moderateReview,
+  createDonation,
+  annualStatement,
+  listOwnDonations,
+  updateSubscription,
+  createCampaign,
+  updateCampaign,
+  listOpportunities,
+  createOpportunity,
+  updateOpportunity,
+  createShift,
+  updateShift,
+  applyToVolunteer,
+  listApplications,
+  updateApplicationStatus,
+  logHours,
+  hoursCertificate,
+  listHours,
+  hoursSummary,
+  reviewHours,
+  subscribe,
+  confirmSubscription,
+  subscriberPreferences,
+  updateSubscriberPreferences,
+  listSubscribers,
+  createIssue,
+  updateIssue,
+  listDeliveries,
+  createAssistanceRequest,
+  listCases,
+  updateCaseStatus,
+  updateCase,
+  addCaseNote,
+  listOwnActivity,
+  listAuditLog,
+  donationReport,
+  volunteerReport,
+  blogReport,
+  grantRole
+};